@@ -0,0 +1,44 @@
+/**
+ * Flashcard export as an Anki-importable file
+ *
+ * GET /api/flashcards/export?email=...&moduleNumber=1&format=tsv|csv
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { listFlashcards } from '@/lib/flashcardStore';
+import { exportDeck, EXPORT_FORMATS } from '@/lib/flashcards';
+
+export async function GET(request: NextRequest) {
+  const { searchParams } = new URL(request.url);
+  const email = searchParams.get('email');
+  const format = (searchParams.get('format') || 'tsv').toLowerCase();
+  const moduleNumber = parseInt(searchParams.get('moduleNumber') || '', 10);
+
+  if (!email || !email.includes('@')) {
+    return NextResponse.json({ error: 'Missing or invalid email' }, { status: 400 });
+  }
+
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return NextResponse.json(
+      { error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const hasModule = Number.isInteger(moduleNumber) && moduleNumber > 0;
+    const cards = await listFlashcards(email, hasModule ? { moduleNumber } : {});
+    const filename = `edujoy-flashcards${hasModule ? `-module-${moduleNumber}` : ''}.${format}`;
+
+    return new NextResponse(exportDeck(cards, format), {
+      status: 200,
+      headers: {
+        'Content-Type': EXPORT_FORMATS[format as keyof typeof EXPORT_FORMATS].contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Failed to export flashcards:', error);
+    return NextResponse.json({ error: 'Failed to export flashcards' }, { status: 500 });
+  }
+}
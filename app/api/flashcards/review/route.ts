@@ -0,0 +1,39 @@
+/**
+ * Flashcard review: record how well a card was recalled and schedule the next review
+ *
+ * POST /api/flashcards/review  { email, cardId, rating: 'again' | 'hard' | 'good' | 'easy' }
+ * (or grade: 0-5 for the raw SM-2 quality)
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { reviewFlashcard } from '@/lib/flashcardStore';
+import { REVIEW_GRADES } from '@/lib/srs';
+
+export async function POST(request: NextRequest) {
+  const body = await request.json().catch(() => ({}));
+  const { email, cardId, rating } = body;
+  const grade = rating !== undefined ? REVIEW_GRADES[rating as keyof typeof REVIEW_GRADES] : body.grade;
+
+  if (typeof email !== 'string' || !email.includes('@') || !Number.isInteger(cardId)) {
+    return NextResponse.json({ error: 'Missing or invalid email or cardId' }, { status: 400 });
+  }
+
+  if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+    return NextResponse.json(
+      { error: `rating must be one of ${Object.keys(REVIEW_GRADES).join(', ')} (or grade 0-5)` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const card = await reviewFlashcard(email, cardId, grade);
+    if (!card) {
+      return NextResponse.json({ error: 'Flashcard not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ card }, { status: 200 });
+  } catch (error) {
+    console.error('❌ Failed to record flashcard review:', error);
+    return NextResponse.json({ error: 'Failed to record review' }, { status: 500 });
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Flashcards: generate, list and delete a user's cards
+ *
+ * GET    /api/flashcards?email=...&moduleNumber=1&videoId=...&due=1
+ * POST   /api/flashcards  { email, videoId, title, moduleNumber?, moduleTitle?, takeaways? }
+ *        Cards are made from the takeaways when given, otherwise from the transcript
+ * DELETE /api/flashcards?email=...&id=123
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { saveFlashcards, listFlashcards, countDueFlashcards, deleteFlashcard } from '@/lib/flashcardStore';
+import { generateFlashcards } from '@/lib/flashcards';
+import { fetchTranscript } from '@/lib/transcript';
+import { validateLLMConfig, mapProviderError, budgetExhaustedBody } from '@/lib/llm/responses';
+import { getBudgetStatus, runWithUsageContext } from '@/lib/llm/usage';
+import { withRouteRateLimit } from '@/lib/rateLimiter';
+
+const MAX_TAKEAWAYS = 20;
+
+function isValidEmail(email: unknown): email is string {
+  return typeof email === 'string' && email.includes('@');
+}
+
+/**
+ * Parse the optional module filter, undefined when absent or invalid
+ */
+function parseModuleNumber(value: unknown): number | undefined {
+  const moduleNumber = typeof value === 'number' ? value : parseInt(String(value ?? ''), 10);
+  return Number.isInteger(moduleNumber) && moduleNumber > 0 ? moduleNumber : undefined;
+}
+
+export async function GET(request: NextRequest) {
+  const { searchParams } = new URL(request.url);
+  const email = searchParams.get('email');
+
+  if (!isValidEmail(email)) {
+    return NextResponse.json({ error: 'Missing or invalid email' }, { status: 400 });
+  }
+
+  const filter = {
+    moduleNumber: parseModuleNumber(searchParams.get('moduleNumber')),
+    videoId: searchParams.get('videoId') || undefined,
+  };
+
+  try {
+    const [cards, dueCount] = await Promise.all([
+      listFlashcards(email, { ...filter, dueOnly: searchParams.get('due') === '1' }),
+      countDueFlashcards(email, filter),
+    ]);
+
+    return NextResponse.json({ cards, dueCount }, { status: 200 });
+  } catch (error) {
+    console.error('❌ Failed to list flashcards:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to load flashcards',
+        details: process.env.NODE_ENV === 'development' && error instanceof Error ? error.message : undefined,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export const POST = withRouteRateLimit('flashcards', async (request: NextRequest) => {
+  const envValidation = validateLLMConfig();
+  if (!envValidation.valid) {
+    console.error('[API] Environment validation failed:', envValidation.errors);
+    return NextResponse.json({ error: 'Server configuration error. Contact administrator.' }, { status: 500 });
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const { email, videoId, title, moduleTitle } = body;
+  const moduleNumber = parseModuleNumber(body.moduleNumber);
+
+  if (!isValidEmail(email)) {
+    return NextResponse.json({ error: 'Missing or invalid email' }, { status: 400 });
+  }
+
+  if (typeof videoId !== 'string' || !/^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
+    return NextResponse.json({ error: 'Missing or invalid videoId' }, { status: 400 });
+  }
+
+  if (!title || typeof title !== 'string') {
+    return NextResponse.json({ error: 'Missing or invalid title' }, { status: 400 });
+  }
+
+  const takeaways = Array.isArray(body.takeaways)
+    ? body.takeaways.filter((takeaway: unknown) => typeof takeaway === 'string' && takeaway.trim()).slice(0, MAX_TAKEAWAYS)
+    : [];
+
+  try {
+    let segments;
+    if (takeaways.length === 0) {
+      const transcriptResult = await fetchTranscript(videoId);
+      if (!transcriptResult.available || transcriptResult.rawSegments.length === 0) {
+        return NextResponse.json(
+          { error: 'No transcript available for this video. Generate a summary first to make cards from its takeaways.' },
+          { status: 422 }
+        );
+      }
+      segments = transcriptResult.rawSegments;
+    }
+
+    const budget = await getBudgetStatus();
+    if (budget.exhausted) {
+      return NextResponse.json(budgetExhaustedBody(budget), {
+        status: 503,
+        headers: { 'Retry-After': String(budget.retryAfterSec) },
+      });
+    }
+
+    const generationOptions = {
+      title,
+      videoUrl: `https://www.youtube.com/watch?v=${videoId}`,
+      takeaways,
+      segments,
+    };
+    const result = await runWithUsageContext({ route: 'flashcards', email, videoId }, () =>
+      generateFlashcards(generationOptions)
+    );
+
+    if (!result.success || !result.data) {
+      console.error('[API] Flashcard output failed validation:', { videoId, validationErrors: result.validationErrors });
+      return NextResponse.json(
+        { error: 'AI response failed validation', validationErrors: result.validationErrors },
+        { status: 502 }
+      );
+    }
+
+    const created = await saveFlashcards(
+      email,
+      result.data.map((card) => ({
+        ...card,
+        videoId,
+        moduleNumber: moduleNumber ?? null,
+        moduleTitle: typeof moduleTitle === 'string' ? moduleTitle : null,
+      }))
+    );
+    const cards = await listFlashcards(email, { videoId });
+
+    return NextResponse.json({ created, cards }, { status: 200 });
+  } catch (error) {
+    console.error('❌ Flashcard generation error:', error);
+    const { statusCode, errorMessage } = mapProviderError(error, 'Failed to create flashcards. Please try again.');
+
+    return NextResponse.json(
+      {
+        error: errorMessage,
+        details: process.env.NODE_ENV === 'development' && error instanceof Error ? error.message : undefined,
+      },
+      { status: statusCode }
+    );
+  }
+});
+
+export async function DELETE(request: NextRequest) {
+  const { searchParams } = new URL(request.url);
+  const email = searchParams.get('email');
+  const id = parseInt(searchParams.get('id') || '', 10);
+
+  if (!isValidEmail(email) || !Number.isInteger(id)) {
+    return NextResponse.json({ error: 'Missing or invalid email or id' }, { status: 400 });
+  }
+
+  try {
+    const deleted = await deleteFlashcard(email, id);
+    if (!deleted) {
+      return NextResponse.json({ error: 'Flashcard not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true }, { status: 200 });
+  } catch (error) {
+    console.error('❌ Failed to delete flashcard:', error);
+    return NextResponse.json({ error: 'Failed to delete flashcard' }, { status: 500 });
+  }
+}
@@ -3,13 +3,14 @@
  */
 
 import { NextRequest, NextResponse } from 'next/server';
-
-// We need to import the cache from the main callback route
-// For now, we'll create a simple health check
+import { cache } from '@/lib/cache';
 
 export async function GET(request: NextRequest) {
   try {
     const timestamp = new Date().toISOString();
+
+    // A low hitRate or a high eviction count means the cache is too small to help
+    const cacheStats = await cache.stats().catch((error: Error) => ({ error: error.message }));
     
     return NextResponse.json(
       {
@@ -17,10 +18,17 @@ export async function GET(request: NextRequest) {
         endpoint: '/api/learning-callback',
         message: 'API is running',
         timestamp,
+        cache: cacheStats,
         instructions: {
           webhook_url: 'https://your-vercel-domain.vercel.app/api/learning-callback',
           method: 'POST',
+          required_headers: {
+            'X-Callback-Timestamp': 'unix seconds',
+            'X-Callback-Nonce': 'random, unique per callback',
+            'X-Callback-Signature': 'sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>" with N8N_CALLBACK_SECRET>'
+          },
           expected_body: {
+            requestId: 'requestId sent with the onboarding data',
             email: 'user@example.com',
             learningData: {
               profile_summary: {},
@@ -30,13 +38,15 @@ export async function GET(request: NextRequest) {
             }
           },
           query_params: {
-            dataId: 'user@example.com'
+            dataId: 'requestId returned by POST /api/learning'
           }
         },
         troubleshooting: {
           '404_on_get': 'Data not received from n8n yet. Check if n8n webhook has been triggered.',
           '404_endpoint_not_found': 'Make sure Vercel deployment includes the /api/learning-callback route',
-          'no_data': 'n8n may not have POSTed to the callback URL. Verify n8n HTTP request node configuration.'
+          'no_data': 'n8n may not have POSTed to the callback URL. Verify n8n HTTP request node configuration.',
+          '401_on_post': 'Callback signature missing, wrong or older than N8N_CALLBACK_TOLERANCE_SEC. Check the secret and clock in n8n.',
+          '409_on_post': 'Nonce reused, or the requestId has no open generation job (unknown, expired, failed or already completed). Send the requestId from the onboarding data.'
         }
       },
       { status: 200 }
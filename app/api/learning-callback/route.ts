@@ -3,93 +3,32 @@
  * 
  * n8n will POST the generated learning data to this endpoint
  * This endpoint stores the data persistently and makes it available to the frontend
+ *
+ * Callbacks must be signed with N8N_CALLBACK_SECRET and answer the requestId
+ * of an open GenerationJob, created by POST /api/learning (see lib/learningRequests):
+ * 401 for unsigned, tampered or expired callbacks, 409 for replays and
+ * unknown or no longer open jobs. The plan completes exactly that job.
  */
 
 import { NextRequest, NextResponse } from 'next/server';
-import { storeDataWithFallback, getDataWithFallback, deleteDataWithFallback } from '@/lib/learningDataStore';
+import { deleteDataWithFallback } from '@/lib/learningDataStore';
+import { getGenerationJob, deleteGenerationJob } from '@/lib/generationJobStore';
+import { acceptLearningPlan } from '@/lib/learningPlans';
+import { withRouteRateLimit } from '@/lib/rateLimiter';
+import { LearningCallbackError, verifyLearningCallback } from '@/lib/learningRequests';
 
-/**
- * Extract email from requestId format (email_timestamp)
- * Example: jane.doe@example.com_1763626902639 -> jane.doe@example.com
- */
-function extractEmailFromRequestId(requestId: string): string {
-  // If it contains underscore and timestamp, extract email part
-  const parts = requestId.split('_');
-  if (parts.length >= 2 && /^\d+$/.test(parts[parts.length - 1])) {
-    // Last part is a timestamp, remove it
-    return parts.slice(0, -1).join('_');
-  }
-  // Otherwise, return as is (might already be just email)
-  return requestId;
-}
-
-/**
- * Transform n8n response format to app format
- */
-function transformN8nData(n8nData: any) {
-  console.log('🔄 Transforming n8n data:', JSON.stringify(n8nData, null, 2).substring(0, 1000));
-
-  const data = Array.isArray(n8nData) ? n8nData[0] : n8nData;
-  console.log('📊 Data after array check:', JSON.stringify(data, null, 2).substring(0, 500));
-  console.log('📧 data.email:', data.email);
-  
-  if (!data || !data.learningData) {
-    console.error('❌ Missing learningData in n8n response');
-    throw new Error('Invalid data structure from n8n');
-  }
-
-  const learningData = data.learningData;
-  console.log('📊 Learning data keys:', Object.keys(learningData));
-
-  // Transform learning_path to match app format
-  const learning_path = (learningData.learning_path || []).map((module: any, index: number) => ({
-    module_number: index + 1,
-    module_title: module.title || '',
-    duration: module.duration || '',
-    objective: module.objective || '',
-    resources: (module.resources || []).map((resource: any) => ({
-      type: resource.type || '',
-      name: resource.title || resource.name || '',
-      link: resource.link || '#',
-      duration_estimate: resource.duration || resource.duration_estimate || '',
-      rationale: resource.description || ''
-    }))
-  }));
-
-  // Transform action_plan
-  const action_plan = {
-    quick_start: learningData.action_plan?.steps?.[0]?.description || 'Begin with Module 1 this week.',
-    daily_routine: learningData.action_plan?.steps?.[1]?.description || 'Dedicate time each day to learning.',
-    progress_tracking: learningData.action_plan?.steps?.[2]?.description || 'Keep track of your progress.'
-  };
-
-  // Transform pro_tips
-  const pro_tips = (learningData.pro_tips || []).map((tip: any) => {
-    if (typeof tip === 'string') {
-      return tip;
-    }
-    return `<strong>${tip.title}:</strong> ${tip.description}`;
-  });
-
-  const transformed = {
-    email: data.email,
-    profile_summary: learningData.profile_summary,
-    learning_path,
-    action_plan,
-    pro_tips,
-    expected_timeline: learningData.expected_timeline
-  };
-
-  console.log('✅ Transformed data keys:', Object.keys(transformed));
-  console.log('📊 Transformed learning path length:', transformed.learning_path.length);
-
-  return transformed;
-}
-
-export async function POST(request: NextRequest) {
+export const POST = withRouteRateLimit('learning-status', async (request: NextRequest) => {
   try {
-    // Parse the learning data from n8n
-    const body = await request.json();
+    // Verify the exact bytes n8n signed before trusting anything in them
+    const rawBody = await request.text();
+    await verifyLearningCallback(request.headers, rawBody);
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return NextResponse.json({ error: 'Callback body is not valid JSON' }, { status: 400 });
+    }
 
     console.log('📥 Webhook received from n8n');
     console.log('Request body keys:', Object.keys(body));
@@ -109,73 +48,49 @@ export async function POST(request: NextRequest) {
       n8nData = actualData[0];
     }
 
-    console.log('Processing data for email:', n8nData.email);
-    console.log('Raw n8nData keys:', Object.keys(n8nData));
-    console.log('Raw n8nData.email:', n8nData.email);
-
-    // Transform and validate the data
-    const learningData = transformN8nData(Array.isArray(actualData) ? actualData : [n8nData]);
-
-    console.log('Transformed learningData.email:', learningData.email);
+    // Only the requestId issued for the submission identifies it: trusting an
+    // email in the body would let anyone overwrite anyone's plan
+    const requestId = [
+      n8nData?.dataId,              // n8n should send this as requestId
+      body?.dataId,                 // Top-level dataId
+      n8nData?.requestId,           // Alternative field name
+      body?.requestId,              // Top-level requestId
+    ].find((v) => typeof v === 'string' && v.length > 0);
 
-    // Validate that we have required fields
-    if (!learningData || !learningData.learning_path || learningData.learning_path.length === 0) {
-      console.error('❌ Invalid learning data structure');
-      console.error('Received data:', JSON.stringify(learningData, null, 2));
+    if (!requestId) {
       return NextResponse.json(
-        { error: 'Invalid learning data structure - no learning_path found' },
+        { error: 'Missing requestId' },
         { status: 400 }
       );
     }
 
-    // Validate email
-    if (!learningData.email || typeof learningData.email !== 'string' || !learningData.email.includes('@')) {
-      console.error('❌ Invalid or missing email:', learningData.email);
-      return NextResponse.json(
-        { error: 'Invalid or missing email address' },
-        { status: 400 }
-      );
+    const job = await getGenerationJob(requestId);
+    if (!job) {
+      throw new LearningCallbackError('Unknown requestId', 409);
     }
 
-    // Resolve canonical dataId (email) from multiple possible sources.
-    // Priority order:
-    // 1. dataId from n8n callback (should be the requestId: email_timestamp)
-    // 2. requestId from n8n callback
-    // 3. email from various locations (fallback)
-    const candidateIds = [
-      n8nData?.dataId,              // n8n should send this as requestId
-      body?.dataId,                 // Top-level dataId
-      n8nData?.requestId,           // Alternative field name
-      body?.requestId,              // Top-level requestId
-      learningData?.email,          // Fallback to email
-      n8nData?.email,
-      n8nData?.learningData?.email,
-      learningData?.profile_summary?.email,
-      learningData?.profile_summary?.contact_email,
-    ].filter((v) => typeof v === 'string' && v.length > 0);
-
-    const rawDataId = candidateIds.length > 0 ? candidateIds[0] : `learning-${Date.now()}`;
-    // Extract email from requestId format (remove timestamp suffix)
-    const dataId = extractEmailFromRequestId(rawDataId);
-    console.log('Resolved dataId candidates:', candidateIds, '-> raw:', rawDataId, '-> email:', dataId);
-
-    // Store the transformed data (with disk + memory fallback)
-    await storeDataWithFallback(dataId, learningData);
+    console.log(`Processing data for job ${requestId}, email:`, n8nData.email);
+    console.log('Raw n8nData keys:', Object.keys(n8nData));
 
-    console.log(`✅ Learning data stored for: ${dataId}`);
-    console.log(`📊 Modules received: ${learningData.learning_path.length}`);
+    // Transform, validate and store it (see lib/learningPlans)
+    const learningData = await acceptLearningPlan(job, Array.isArray(actualData) ? actualData : [n8nData], 'n8n');
 
     return NextResponse.json(
       { 
         success: true, 
         message: 'Learning plan received successfully',
-        dataId: dataId,
+        dataId: requestId,
         timestamp: new Date().toISOString(),
         modulesCount: learningData.learning_path.length
       },
       { status: 200 }
     );
   } catch (error) {
+    if (error instanceof LearningCallbackError) {
+      console.warn(`🚫 Webhook callback rejected (${error.status}): ${error.message}`);
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+
     console.error('❌ Webhook callback error:', error);
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
     console.error('Error details:', errorMessage);
@@ -189,40 +104,48 @@ export async function POST(request: NextRequest) {
       { status: 500 }
     );
   }
-}
+});
 
 /**
- * GET: Retrieve stored learning data
- * Frontend can call this endpoint to get the generated learning plan
+ * GET: Retrieve the learning plan of a job
+ * Frontend polls this with ?dataId=<requestId> until the plan is there
  */
-export async function GET(request: NextRequest) {
+export const GET = withRouteRateLimit('learning-status', async (request: NextRequest) => {
   try {
-    // Get dataId from query parameter (might be requestId format: email_timestamp)
-    const rawDataId = request.nextUrl.searchParams.get('dataId');
+    const dataId = request.nextUrl.searchParams.get('dataId');
 
-    if (!rawDataId) {
+    if (!dataId) {
       return NextResponse.json(
         { error: 'Missing dataId parameter' },
         { status: 400 }
       );
     }
 
-    // Extract email from requestId format
-    const dataId = extractEmailFromRequestId(rawDataId);
-    console.log(`🔍 GET request - raw dataId: ${rawDataId}, extracted email: ${dataId}`);
+    const job = await getGenerationJob(dataId);
 
-    // Check if data exists and is not expired
-    const data = await getDataWithFallback(dataId);
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Unknown learning plan request' },
+        { status: 404 }
+      );
+    }
 
-    if (!data) {
+    if (job.status === 'failed' || job.status === 'expired') {
       return NextResponse.json(
-        { error: 'Learning data not found. Please wait for n8n to process your request.' },
+        { error: job.error || 'No learning plan arrived in time', status: job.status },
+        { status: 410 }
+      );
+    }
+
+    if (job.status !== 'completed') {
+      return NextResponse.json(
+        { error: 'Learning data not found. Please wait for n8n to process your request.', status: job.status },
         { status: 404 }
       );
     }
 
-    console.log(`✅ Retrieved learning data for: ${dataId}`);
-    return NextResponse.json(data, { status: 200 });
+    console.log(`✅ Retrieved learning data for job: ${dataId}`);
+    return NextResponse.json(job.result, { status: 200 });
   } catch (error) {
     console.error('❌ GET error:', error);
     return NextResponse.json(
@@ -230,26 +153,27 @@ export async function GET(request: NextRequest) {
       { status: 500 }
     );
   }
-}
+});
 
 /**
- * DELETE: Clear stored learning data (optional cleanup)
+ * DELETE: Clear a job and the learner's stored plan (optional cleanup)
  */
-export async function DELETE(request: NextRequest) {
+export const DELETE = withRouteRateLimit('learning-status', async (request: NextRequest) => {
   try {
-    const rawDataId = request.nextUrl.searchParams.get('dataId');
+    const dataId = request.nextUrl.searchParams.get('dataId');
 
-    if (!rawDataId) {
+    if (!dataId) {
       return NextResponse.json(
         { error: 'Missing dataId parameter' },
         { status: 400 }
       );
     }
 
-    // Extract email from requestId format
-    const dataId = extractEmailFromRequestId(rawDataId);
-
-    await deleteDataWithFallback(dataId);
+    const job = await getGenerationJob(dataId);
+    if (job) {
+      await deleteGenerationJob(dataId);
+      await deleteDataWithFallback(job.email);
+    }
 
     return NextResponse.json(
       { success: true, message: 'Learning data cleared' },
@@ -262,4 +186,4 @@ export async function DELETE(request: NextRequest) {
       { status: 500 }
     );
   }
-}
+});
@@ -1,65 +1,171 @@
 /**
- * API Route: Generate Learning Data from n8n
- * 
+ * API Route: Submit Onboarding Data for a Learning Plan
+ *
  * This endpoint:
  * 1. Receives form data from the onboarding form
- * 2. Sends it to n8n webhook for AI processing
- * 3. Returns the generated learning data
+ * 2. Creates a GenerationJob whose ID is the requestId
+ * 3. Hands the data to the generator set by LEARNING_PLAN_GENERATOR:
+ *    - n8n (default): sends it, with the requestId, to the n8n webhooks configured
+ *      in N8N_WEBHOOKS (see lib/learningWebhooks); n8n delivers the plan to
+ *      /api/learning-callback
+ *    - native: generates it here with the LLM provider (see lib/learningPlanGenerator)
+ *    Either way the plan is validated and stored by lib/learningPlans
+ * 4. Returns the requestId; the client follows the job on
+ *    /api/learning/status?requestId=<requestId>
  */
 
-import { NextRequest, NextResponse } from 'next/server';
+import { NextRequest, NextResponse, after } from 'next/server';
+import { withRouteRateLimit } from '@/lib/rateLimiter';
+import { createGenerationJob, markGenerationJobProcessing, failGenerationJob } from '@/lib/generationJobStore';
+import { getLearningWebhooks, sendToLearningWebhooks } from '@/lib/learningWebhooks';
+import { generateLearningPlan } from '@/lib/learningPlanGenerator';
+import { acceptLearningPlan } from '@/lib/learningPlans';
+import { LearningCallbackError } from '@/lib/learningRequests';
+import { validateLLMConfig, mapProviderError, budgetExhaustedBody } from '@/lib/llm/responses';
+import { getBudgetStatus, runWithUsageContext } from '@/lib/llm/usage';
 
-const N8N_WEBHOOK_URL = 'https://n8n-oo1yqkmi2l7g.blueberry.sumopod.my.id/webhook/826acb2a-ac8d-496e-828e-1c0791d1446d';
-const EXTRA_N8N_WEBHOOK = 'https://n8n-oo1yqkmi2l7g.blueberry.sumopod.my.id/webhook/73928a59-c6df-4fc6-b06d-ef0c7f02481a';
+const LEARNING_PLAN_GENERATORS = ['n8n', 'native'];
+const LEARNING_PLAN_GENERATOR = (process.env.LEARNING_PLAN_GENERATOR || 'n8n').toLowerCase();
+
+type GenerationJob = Awaited<ReturnType<typeof createGenerationJob>>;
+
+/**
+ * Why the configured generator can't take requests, or null when it can
+ */
+function checkGeneratorConfig(): string[] | null {
+  if (!LEARNING_PLAN_GENERATORS.includes(LEARNING_PLAN_GENERATOR)) {
+    return [`Unknown LEARNING_PLAN_GENERATOR "${LEARNING_PLAN_GENERATOR}". Expected one of: ${LEARNING_PLAN_GENERATORS.join(', ')}`];
+  }
+
+  if (LEARNING_PLAN_GENERATOR === 'native') {
+    const envValidation = validateLLMConfig();
+    return envValidation.valid ? null : envValidation.errors || [];
+  }
 
-export async function POST(request: NextRequest) {
   try {
+    getLearningWebhooks();
+    return null;
+  } catch (error) {
+    return [error instanceof Error ? error.message : String(error)];
+  }
+}
+
+/**
+ * Send the job to n8n; the job follows the primary webhook
+ */
+async function submitToN8n(job: GenerationJob, formData: Record<string, unknown>) {
+  // Secondaries are delivered in the background, kept alive by after()
+  const delivery = await sendToLearningWebhooks({ ...formData, requestId: job.id }, after);
+
+  if (!delivery.ok) {
+    await failGenerationJob(job.id, `n8n webhook ${delivery.name} ${delivery.error}`, delivery.body);
+    return NextResponse.json(
+      { error: `n8n webhook ${delivery.name} ${delivery.error}`, requestId: job.id, status: 'failed' },
+      { status: 502 }
+    );
+  }
+
+  await markGenerationJobProcessing(job.id, delivery.body);
+
+  return NextResponse.json(
+    { requestId: job.id, status: 'processing', expiresAt: job.expiresAt },
+    { status: 202 }
+  );
+}
+
+/**
+ * Generate the job's plan with the LLM provider and accept it like a callback
+ * Never rejects: every failure fails the job, which the learner sees on the status stream
+ */
+async function generateNativePlan(job: GenerationJob, formData: Record<string, unknown>) {
+  try {
+    const result = await runWithUsageContext({ route: 'learning', email: job.email }, () =>
+      generateLearningPlan(formData)
+    );
+
+    if (!result.success || !result.data) {
+      console.error('❌ Learning plan output failed validation:', { requestId: job.id, validationErrors: result.validationErrors });
+      await failGenerationJob(job.id, 'The generated learning plan failed validation', result.validationErrors);
+      return;
+    }
+
+    await acceptLearningPlan(job, result.data, 'The native generator');
+  } catch (error) {
+    if (error instanceof LearningCallbackError) {
+      // acceptLearningPlan already failed the job, or it was no longer open
+      console.warn(`🚫 Generated learning plan rejected (${error.status}): ${error.message}`);
+      return;
+    }
+
+    console.error('❌ Learning plan generation error:', error);
+    const { errorMessage } = mapProviderError(error, 'Failed to generate the learning plan. Please try again.');
+    await failGenerationJob(job.id, errorMessage).catch((failError) =>
+      console.error(`❌ Failed to record the failure of job ${job.id}:`, failError)
+    );
+  }
+}
+
+/**
+ * Start generating the job's plan here; the request returns before it's done
+ * after() keeps the function alive until generation settles, also on serverless hosts
+ */
+async function submitToNativeGenerator(job: GenerationJob, formData: Record<string, unknown>) {
+  await markGenerationJobProcessing(job.id, { generator: 'native' });
+
+  after(() => generateNativePlan(job, formData));
+
+  return NextResponse.json(
+    { requestId: job.id, status: 'processing', expiresAt: job.expiresAt },
+    { status: 202 }
+  );
+}
+
+export const POST = withRouteRateLimit('learning', async (request: NextRequest) => {
+  try {
+    // Refuse before creating a job that could never be answered
+    const configErrors = checkGeneratorConfig();
+    if (configErrors) {
+      console.error(`❌ Learning plan generator ${LEARNING_PLAN_GENERATOR} is not configured:`, configErrors);
+      return NextResponse.json(
+        { error: 'Learning plan generation is not configured on this server' },
+        { status: 503 }
+      );
+    }
+
     // Parse incoming form data
     const formData = await request.json();
 
     // Validate required fields
-    if (!formData.email || !formData.learningGoals) {
+    if (!formData || typeof formData !== 'object' || !formData.email || !formData.learningGoals) {
       return NextResponse.json(
         { error: 'Missing required fields: email, learningGoals' },
         { status: 400 }
       );
     }
 
-    // Forward the request to the default n8n webhook and also send the same payload
-    // to the extra webhook. The app will use the default webhook's response, while
-    // the extra webhook is invoked asynchronously (errors are logged but don't block).
-    const defaultResponse = await fetch(N8N_WEBHOOK_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(formData),
-    });
-
-    // Fire-and-forget the extra webhook; catch errors to avoid unhandled rejections.
-    fetch(EXTRA_N8N_WEBHOOK, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(formData),
-    }).then(res => {
-      if (!res.ok) console.warn(`Extra n8n webhook returned status ${res.status}`);
-    }).catch(err => console.warn('Extra n8n webhook error:', err));
-
-    if (!defaultResponse.ok) {
-      console.error(`n8n webhook error: ${defaultResponse.status}`);
-      return NextResponse.json(
-        { error: `n8n webhook failed with status ${defaultResponse.status}` },
-        { status: defaultResponse.status }
-      );
+    if (typeof formData.email !== 'string' || !formData.email.includes('@')) {
+      return NextResponse.json({ error: 'Missing or invalid email' }, { status: 400 });
+    }
+
+    if (typeof formData.learningGoals !== 'string') {
+      return NextResponse.json({ error: 'Missing or invalid learningGoals' }, { status: 400 });
     }
 
-    // Parse the response from the default n8n
-    const learningData = await defaultResponse.json();
+    if (LEARNING_PLAN_GENERATOR === 'native') {
+      const budget = await getBudgetStatus();
+      if (budget.exhausted) {
+        return NextResponse.json(budgetExhaustedBody(budget), {
+          status: 503,
+          headers: { 'Retry-After': String(budget.retryAfterSec) },
+        });
+      }
+    }
+
+    const job = await createGenerationJob(formData.email, formData);
 
-    // Return the learning data
-    return NextResponse.json(learningData, { status: 200 });
+    return LEARNING_PLAN_GENERATOR === 'native'
+      ? await submitToNativeGenerator(job, formData)
+      : await submitToN8n(job, formData);
   } catch (error) {
     console.error('API Error:', error);
     return NextResponse.json(
@@ -67,4 +173,4 @@ export async function POST(request: NextRequest) {
       { status: 500 }
     );
   }
-}
+});
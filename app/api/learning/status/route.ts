@@ -0,0 +1,115 @@
+/**
+ * API Route: Learning Plan Readiness
+ *
+ * GET /api/learning/status?requestId=ID
+ * Server-Sent Events for the job created by POST /api/learning:
+ *   event: status  { requestId, status, expiresAt }  on connect and when the status changes
+ *   event: done    { requestId, learningData }       the plan arrived; the stream ends
+ *   event: failed  { requestId, status, error }      failed, or expired (timed out); the stream ends
+ *   event: error   { requestId, error }              the status couldn't be read; the stream ends
+ *
+ * The job is read again with exponential backoff (1s doubling up to 8s), and
+ * at once when its callback lands on this instance. A stream lasts at most
+ * LEARNING_STATUS_STREAM_SEC; the client reconnects while the job is open.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { withRouteRateLimit } from '@/lib/rateLimiter';
+import { SSE_HEADERS, formatSSE } from '@/lib/sse';
+import { getGenerationJob, waitForGenerationJobChange } from '@/lib/generationJobStore';
+import { describeJobFailure } from '@/lib/learningRequests';
+
+const LEARNING_STATUS_STREAM_SEC = parseInt(process.env.LEARNING_STATUS_STREAM_SEC || '55', 10);
+const RECHECK_MIN_MS = 1000;
+const RECHECK_MAX_MS = 8000;
+
+export const GET = withRouteRateLimit('learning-status', async (request: NextRequest) => {
+  const requestId = request.nextUrl.searchParams.get('requestId');
+
+  if (!requestId) {
+    return NextResponse.json(
+      { error: 'Missing requestId parameter' },
+      { status: 400 }
+    );
+  }
+
+  let job: Awaited<ReturnType<typeof getGenerationJob>>;
+  try {
+    job = await getGenerationJob(requestId);
+  } catch (error) {
+    console.error('❌ Learning status error:', error);
+    return NextResponse.json(
+      { error: 'Failed to read learning plan status' },
+      { status: 500 }
+    );
+  }
+
+  if (!job) {
+    return NextResponse.json(
+      { error: 'Unknown learning plan request' },
+      { status: 404 }
+    );
+  }
+
+  const encoder = new TextEncoder();
+  let closed = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (text: string) => {
+        if (!closed) controller.enqueue(encoder.encode(text));
+      };
+      const deadline = Date.now() + LEARNING_STATUS_STREAM_SEC * 1000;
+      let lastStatus: string | null = null;
+      let delay = RECHECK_MIN_MS;
+
+      try {
+        while (!closed && !request.signal.aborted) {
+          if (!job) {
+            send(formatSSE('failed', { requestId, status: 'failed', error: 'The learning plan request no longer exists' }));
+            break;
+          }
+
+          if (job.status === 'completed') {
+            send(formatSSE('done', { requestId, learningData: job.result }));
+            break;
+          }
+
+          if (job.status === 'failed' || job.status === 'expired') {
+            send(formatSSE('failed', { requestId, status: job.status, error: describeJobFailure(job) }));
+            break;
+          }
+
+          if (job.status !== lastStatus) {
+            send(formatSSE('status', { requestId, status: job.status, expiresAt: job.expiresAt }));
+            lastStatus = job.status;
+          } else {
+            // Comment frame: keeps proxies from closing an idle connection
+            send(': waiting\n\n');
+          }
+
+          const remaining = deadline - Date.now();
+          if (remaining <= 0) break;
+
+          await waitForGenerationJobChange(requestId, Math.min(delay, remaining), request.signal);
+          delay = Math.min(delay * 2, RECHECK_MAX_MS);
+          job = await getGenerationJob(requestId);
+        }
+      } catch (error) {
+        console.error('❌ Learning status stream error:', error);
+        send(formatSSE('error', { requestId, error: 'Failed to read learning plan status' }));
+      }
+
+      if (!closed) {
+        closed = true;
+        controller.close();
+      }
+    },
+
+    cancel() {
+      closed = true;
+    },
+  });
+
+  return new Response(stream, { headers: SSE_HEADERS });
+});
@@ -0,0 +1,82 @@
+/**
+ * LLM token usage report
+ *
+ * GET /api/usage?days=30&email=...&videoId=...
+ * Usage per UTC day and model over the last `days` days (default 30, max 366),
+ * optionally for one user or video, plus the current daily/monthly budget status.
+ * estimatedCostUsd is null unless LLM_INPUT_PRICE_PER_MTOK / LLM_OUTPUT_PRICE_PER_MTOK are set.
+ * Admin only: requests send `Authorization: Bearer <ADMIN_API_TOKEN>` (see lib/adminAuth).
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getDailyUsage } from '@/lib/tokenUsageStore';
+import { getBudgetStatus, estimateCost } from '@/lib/llm/usage';
+import { withRouteRateLimit } from '@/lib/rateLimiter';
+import { checkAdminToken } from '@/lib/adminAuth';
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+export const GET = withRouteRateLimit('usage', async (request: NextRequest) => {
+  // Usage per learner and video isn't for everyone to see
+  const admin = checkAdminToken(request.headers.get('authorization'));
+  if (!admin.ok) {
+    return NextResponse.json({ error: admin.error }, { status: admin.status });
+  }
+
+  const { searchParams } = request.nextUrl;
+  const days = parseInt(searchParams.get('days') || String(DEFAULT_DAYS), 10);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    return NextResponse.json({ error: `days must be an integer from 1 to ${MAX_DAYS}` }, { status: 400 });
+  }
+
+  // Today counts as the first day
+  const now = new Date();
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - days + 1));
+
+  try {
+    const [usage, budget] = await Promise.all([
+      getDailyUsage({
+        since,
+        email: searchParams.get('email') || undefined,
+        videoId: searchParams.get('videoId') || undefined,
+      }),
+      getBudgetStatus(),
+    ]);
+
+    const rows = usage.map((row) => ({
+      ...row,
+      totalTokens: row.promptTokens + row.outputTokens,
+      estimatedCostUsd: estimateCost(row.promptTokens, row.outputTokens),
+    }));
+
+    const promptTokens = rows.reduce((sum, row) => sum + row.promptTokens, 0);
+    const outputTokens = rows.reduce((sum, row) => sum + row.outputTokens, 0);
+
+    return NextResponse.json(
+      {
+        since: since.toISOString(),
+        totals: {
+          requests: rows.reduce((sum, row) => sum + row.requests, 0),
+          promptTokens,
+          outputTokens,
+          totalTokens: promptTokens + outputTokens,
+          estimatedCostUsd: estimateCost(promptTokens, outputTokens),
+        },
+        days: rows,
+        budget,
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('❌ Failed to load token usage:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to load token usage',
+        details: process.env.NODE_ENV === 'development' && error instanceof Error ? error.message : undefined,
+      },
+      { status: 500 }
+    );
+  }
+});
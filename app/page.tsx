@@ -10,6 +10,8 @@ import LoadingScreen from '@/components/LoadingScreen';
 import Dashboard from '@/components/Dashboard';
 import BottomNav from '@/components/BottomNav';
 import ModuleDetailScreen from '@/components/screens/ModuleDetailScreen';
+import GenerationFailedScreen from '@/components/GenerationFailedScreen';
+import { readSSEStream } from '@/lib/sse';
 
 // Default fallback learning data structure
 const defaultLearningData = {
@@ -31,14 +33,23 @@ const defaultLearningData = {
   pro_tips: [],
 };
 
+// Connection errors while waiting for a plan are retried this many times, backing off up to the max
+const STATUS_MAX_RETRIES = 6;
+const STATUS_RETRY_MAX_MS = 30000;
+
+type LearningPlanOutcome =
+  | { status: 'completed'; learningData: any }
+  | { status: 'failed' | 'expired' | 'error'; error: string };
+
 export default function Page() {
-  const [screen, setScreen] = useState('onboarding'); // onboarding, loading, dashboard
+  const [screen, setScreen] = useState('onboarding'); // onboarding, loading, dashboard, failed
   const [currentView, setCurrentView] = useState('learn'); // learn, profile, tips
   const [selectedModule, setSelectedModule] = useState(null);
   const [learningData, setLearningData] = useState(defaultLearningData);
   const [isLoadingData, setIsLoadingData] = useState(false);
   const [dataId, setDataId] = useState<string | null>(null);
   const [requestId, setRequestId] = useState<string | null>(null);
+  const [generationError, setGenerationError] = useState<{ status: string; error: string } | null>(null);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -103,105 +114,130 @@ export default function Page() {
   });
 
   /**
-   * Poll for learning data from callback webhook
+   * Wait for the learning plan of a job, pushed over /api/learning/status (SSE)
+   * Reconnects when a stream ends with the job still open; connection errors
+   * are retried with exponential backoff
    */
-  const pollForLearningData = async (id: string, maxAttempts: number = 120) => {
-    let attempts = 0;
+  const waitForLearningPlan = async (id: string): Promise<LearningPlanOutcome> => {
+    let failures = 0;
 
-    const poll = async (): Promise<any | null> => {
-      attempts++;
+    while (true) {
+      const received: { outcome?: LearningPlanOutcome } = {};
 
       try {
-        // Use relative URL (will work on both localhost and Vercel)
-        const url = `/api/learning-callback?dataId=${encodeURIComponent(id)}`;
-        console.log(`[Attempt ${attempts}] Polling: ${url}`);
-        
-        const response = await fetch(url, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        });
+        const response = await fetch(`/api/learning/status?requestId=${encodeURIComponent(id)}`);
 
-        console.log(`[Attempt ${attempts}] Response status: ${response.status}`);
-
-        if (response.ok) {
-          const data = await response.json();
-          console.log('✅ Response data received:', data);
-          
-          if (data && data.learning_path && data.learning_path.length > 0) {
-            console.log(`✅ Learning data received! Modules: ${data.learning_path.length}`);
-            return data; // Return the actual data
-          } else {
-            console.log('⚠️ Response OK but no valid learning_path');
+        if (!response.ok || !response.body) {
+          const errorData = await response.json().catch(() => null);
+          // Unknown requests don't appear by asking again
+          if (response.status === 400 || response.status === 404) {
+            return { status: 'failed', error: errorData?.error || 'Unknown learning plan request' };
           }
-        } else if (response.status === 404) {
-          // Data not ready yet, continue polling
-          console.log(`⏳ Data not found yet (404) - waiting... (attempt ${attempts}/${maxAttempts})`);
-        } else if (response.status === 500) {
-          // Server error
-          const errorData = await response.text();
-          console.error(`❌ Server error (500):`, errorData);
-        } else {
-          console.error(`❌ Unexpected status: ${response.status}`);
+          throw new Error(errorData?.error || `Status request failed with status ${response.status}`);
         }
+
+        await readSSEStream(response.body, ({ event, data }) => {
+          const payload = JSON.parse(data);
+
+          if (event === 'status') {
+            console.log(`⏳ Learning plan ${payload.status}...`);
+          } else if (event === 'done') {
+            received.outcome = { status: 'completed', learningData: payload.learningData };
+          } else if (event === 'failed') {
+            received.outcome = { status: payload.status, error: payload.error };
+          } else if (event === 'error') {
+            throw new Error(payload.error);
+          }
+        });
+        failures = 0;
       } catch (error) {
-        console.error(`❌ Poll error (attempt ${attempts}):`, error);
-      }
+        failures++;
+        console.error(`❌ Learning plan status error (attempt ${failures}):`, error);
 
-      // If we haven't reached max attempts, wait and try again
-      if (attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before next poll
-        return poll();
+        if (failures > STATUS_MAX_RETRIES) {
+          return { status: 'error', error: 'Lost connection while waiting for your learning plan' };
+        }
+
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (failures - 1), STATUS_RETRY_MAX_MS)));
+        continue;
       }
 
-      console.warn(`⚠️ Max attempts (${maxAttempts}) reached. Stopping poll.`);
-      return null;
-    };
+      if (received.outcome) return received.outcome;
+      // The stream ended with the job still open: reconnect
+    }
+  };
 
-    return poll();
+  /**
+   * Show the loading screen until a job's plan arrives, then the dashboard or the failure screen
+   */
+  const followLearningPlan = async (id: string) => {
+    setDataId(id);
+    setGenerationError(null);
+    setScreen('loading');
+    setIsLoadingData(true);
+
+    try {
+      const outcome = await waitForLearningPlan(id);
+
+      if (outcome.status === 'completed') {
+        console.log(`✅ Learning data received! Modules: ${outcome.learningData?.learning_path?.length || 0}`);
+        setLearningData(outcome.learningData);
+        setScreen('dashboard');
+      } else {
+        console.warn(`⚠️ No learning plan (${outcome.status}): ${outcome.error}`);
+        setGenerationError(outcome);
+        setScreen('failed');
+      }
+    } finally {
+      setIsLoadingData(false);
+    }
   };
 
   /**
    * Handle form submission - Form goes to n8n, we wait for callback
-   * Note: requestId is generated in OnboardingForm before calling this
+   * Note: OnboardingForm submits to /api/learning and passes the requestId it gets back
    */
-  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>, submittedRequestId?: string) => {
     e.preventDefault();
     
-    // Use the requestId that was already set
-    const id = requestId || `${formData.email}_${Date.now()}`;
-    setDataId(id);
+    // The state update from onRequestIdGenerated hasn't landed yet in this call
+    const id = submittedRequestId || requestId;
+    if (!id) {
+      console.error('❌ No requestId for this submission');
+      return;
+    }
 
-    console.log('📤 Form submitted to n8n');
     console.log(`🆔 Request ID: ${id}`);
     console.log('⏳ Waiting for n8n to process and send data back...');
+    await followLearningPlan(id);
+  };
 
+  /**
+   * Submit the same answers again after a failed or timed-out request
+   */
+  const handleRetry = async () => {
     setScreen('loading');
-    setIsLoadingData(true);
 
     try {
-      // Poll for learning data (will be sent by n8n callback with this specific requestId)
-      const receivedData = await pollForLearningData(id);
-
-      if (receivedData) {
-        // Data received from n8n callback
-        console.log('Setting learning data and transitioning to dashboard...');
-        setLearningData(receivedData);
-        console.log('🎉 Going to dashboard with received data!');
-        setScreen('dashboard');
-      } else {
-        // Timeout - use default data
-        console.warn('⚠️ No data received from n8n within timeout. Using default data.');
-        setLearningData(defaultLearningData);
-        setScreen('dashboard');
+      const response = await fetch('/api/learning', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formData),
+      });
+      const body = await response.json().catch(() => null);
+
+      if (!response.ok || !body?.requestId) {
+        throw new Error(body?.error || `Learning plan request failed with status ${response.status}`);
       }
+
+      setRequestId(body.requestId);
+      await followLearningPlan(body.requestId);
     } catch (error) {
-      console.error('Error in form submission:', error);
-      setLearningData(defaultLearningData);
-      setScreen('dashboard');
-    } finally {
-      setIsLoadingData(false);
+      console.error('Retry failed:', error);
+      setGenerationError({ status: 'failed', error: error instanceof Error ? error.message : 'Failed to submit again' });
+      setScreen('failed');
     }
   };
 
@@ -213,6 +249,7 @@ export default function Page() {
       return (
         <ModuleDetailScreen
           module={selectedModule}
+          email={formData.email}
           onBack={() => setSelectedModule(null)}
         />
       );
@@ -230,6 +267,15 @@ export default function Page() {
         );
       case 'loading':
         return <LoadingScreen />;
+      case 'failed':
+        return (
+          <GenerationFailedScreen
+            status={generationError?.status}
+            error={generationError?.error}
+            onRetry={handleRetry}
+            onEdit={() => setScreen('onboarding')}
+          />
+        );
       case 'dashboard':
         return (
           <Dashboard
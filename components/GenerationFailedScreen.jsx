@@ -0,0 +1,46 @@
+/**
+ * Generation Failed Screen Component
+ * Shown when a learning plan request fails or times out, instead of a placeholder plan
+ */
+'use client';
+
+import { AlertTriangle, Clock, RefreshCw, ArrowLeft } from 'lucide-react';
+
+export default function GenerationFailedScreen({ status, error, onRetry, onEdit }) {
+  const timedOut = status === 'expired';
+  const Icon = timedOut ? Clock : AlertTriangle;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-600 via-purple-600 to-pink-500 flex items-center justify-center relative overflow-hidden">
+      {/* Main Content */}
+      <div className="flex flex-col items-center justify-center text-white p-6 relative z-10">
+        <div className="w-24 h-24 bg-white rounded-full flex items-center justify-center shadow-2xl">
+          <Icon className="w-12 h-12 text-indigo-600" />
+        </div>
+        <h2 className="text-2xl font-bold mt-8 text-center">
+          {timedOut ? 'This is taking too long' : 'We couldn’t build your plan'}
+        </h2>
+        <p className="text-lg text-indigo-100 mt-2 text-center">
+          {timedOut ? 'Your learning plan didn’t arrive in time.' : error || 'Something went wrong while generating your learning plan.'}
+        </p>
+
+        <div className="flex flex-col gap-3 mt-8 w-full max-w-xs">
+          <button
+            onClick={onRetry}
+            className="flex items-center justify-center gap-2 px-6 py-3 bg-white text-indigo-600 font-semibold rounded-full shadow-lg hover:bg-indigo-50 transition-colors duration-200"
+          >
+            <RefreshCw className="w-5 h-5" />
+            Try again
+          </button>
+          <button
+            onClick={onEdit}
+            className="flex items-center justify-center gap-2 px-6 py-3 text-white font-medium rounded-full border border-white/50 hover:bg-white/10 transition-colors duration-200"
+          >
+            <ArrowLeft className="w-5 h-5" />
+            Edit my answers
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -192,7 +192,7 @@ export default function OnboardingForm({
     setErrors(prev => ({ ...prev, [name]: error }));
   }, [handleInputChange, formFields, selectFields, validateField]);
 
-  // Enhanced submit handler with webhook POST
+  // Enhanced submit handler: submits to /api/learning
   const handleSubmitEnhanced = useCallback(async (e) => {
     e.preventDefault();
 
@@ -217,63 +217,38 @@ export default function OnboardingForm({
 
     setIsSubmitting(true);
     try {
-      // Generate unique request ID for this submission (email + timestamp)
-      const newRequestId = `${currentFormData.email}_${Date.now()}`;
-      console.log('🆔 Generated requestId:', newRequestId);
-
-      // Notify parent about the requestId
-      if (onRequestIdGenerated) {
-        onRequestIdGenerated(newRequestId);
-      }
-
-      // Prepare form data for webhook (only non-disabled fields)
-      const webhookData = {};
+      // Prepare form data for submission (only non-disabled fields)
+      const submissionData = {};
       [...formFields, ...selectFields].forEach(field => {
         if (!field.disabled) {
-          webhookData[field.name] = currentFormData[field.name];
+          submissionData[field.name] = currentFormData[field.name];
         }
       });
 
-      // Add requestId to webhook data so n8n can use it when calling back
-      webhookData.requestId = newRequestId;
-      console.log('📤 Sending data to n8n with requestId:', newRequestId);
-
-      // Send POST request to both the default n8n webhook and an additional one
-      const DEFAULT_N8N_WEBHOOK = 'https://n8n-oo1yqkmi2l7g.blueberry.sumopod.my.id/webhook/826acb2a-ac8d-496e-828e-1c0791d1446d';
-      const EXTRA_N8N_WEBHOOK = 'https://n8n-oo1yqkmi2l7g.blueberry.sumopod.my.id/webhook/73928a59-c6df-4fc6-b06d-ef0c7f02481a';
-
-      // Send to default webhook and await its response (drives app flow).
-      const defaultResponsePromise = fetch(DEFAULT_N8N_WEBHOOK, {
+      // The server creates the generation job and hands the data to n8n
+      const response = await fetch('/api/learning', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(webhookData),
+        body: JSON.stringify(submissionData),
       });
 
-      // Fire-and-forget the extra webhook but catch errors so they don't create unhandled rejections.
-      const extraResponsePromise = fetch(EXTRA_N8N_WEBHOOK, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(webhookData),
-      }).catch((err) => console.warn('Extra n8n webhook error:', err));
-
-      const response = await defaultResponsePromise;
-
       if (!response.ok) {
-        throw new Error(`Webhook request failed with status ${response.status}`);
+        throw new Error(`Learning plan request failed with status ${response.status}`);
       }
 
-      // Optionally handle extra webhook result asynchronously (already caught above).
-      extraResponsePromise.catch(() => {});
+      const { requestId: newRequestId } = await response.json();
+      console.log('🆔 Issued requestId:', newRequestId);
 
-      console.log('✅ Successfully sent to default n8n webhook (and attempted extra webhook)');
+      // Notify parent about the requestId
+      if (onRequestIdGenerated) {
+        onRequestIdGenerated(newRequestId);
+      }
 
       // Call original handleSubmit if provided
       if (handleSubmit) {
-        await handleSubmit(e);
+        await handleSubmit(e, newRequestId);
       }
     } catch (error) {
       console.error('Form submission error:', error);
@@ -281,7 +256,7 @@ export default function OnboardingForm({
     } finally {
       setIsSubmitting(false);
     }
-  }, [currentFormData, formFields, selectFields, validateField, handleSubmit]);
+  }, [currentFormData, formFields, selectFields, validateField, handleSubmit, onRequestIdGenerated]);
 
   // Splash Screen Component
   if (showSplash) {
@@ -0,0 +1,222 @@
+/**
+ * Quiz Panel Component
+ * "Quiz me" mode for a video: questions come from /api/quiz, answers are scored locally
+ */
+'use client';
+
+import { useState } from 'react';
+import axios from 'axios';
+import { GraduationCap, Loader2, CheckCircle2, XCircle, PlayCircle, RotateCcw } from 'lucide-react';
+
+const QUIZ_QUESTION_COUNT = 6;
+// Share of the expected answer's key words a short answer must contain
+const SHORT_ANSWER_MATCH_RATIO = 0.6;
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ */
+function normalizeAnswer(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check an answer against the expected one
+ * Multiple choice must match exactly; short answers pass on an exact normalized
+ * match or when most of the expected key words are present
+ */
+function isCorrect(question, response) {
+  if (!response) return false;
+  if (question.type === 'multiple_choice') return response === question.answer;
+
+  const given = normalizeAnswer(response);
+  const expected = normalizeAnswer(question.answer);
+  if (!given) return false;
+  if (given === expected) return true;
+
+  const givenWords = new Set(given.split(' '));
+  // Ignore short filler words unless the answer has nothing else
+  const keyWords = expected.split(' ').filter((word) => word.length > 3);
+  const words = keyWords.length > 0 ? keyWords : expected.split(' ');
+  const matched = words.filter((word) => givenWords.has(word)).length;
+
+  return matched / words.length >= SHORT_ANSWER_MATCH_RATIO;
+}
+
+export default function QuizPanel({ videoId, onSeek }) {
+  const [quiz, setQuiz] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [responses, setResponses] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+
+  /**
+   * Fetch a quiz for this video
+   */
+  const handleStartQuiz = async () => {
+    setError(null);
+    setLoading(true);
+
+    try {
+      const quizRes = await axios.post('/api/quiz', {
+        videoId,
+        count: QUIZ_QUESTION_COUNT,
+      });
+
+      setQuiz(quizRes.data);
+      setResponses({});
+      setSubmitted(false);
+    } catch (err) {
+      console.error('Error generating quiz:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to generate quiz. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRetry = () => {
+    setResponses({});
+    setSubmitted(false);
+  };
+
+  if (!quiz) {
+    return (
+      <div className="space-y-2">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+            <XCircle className="w-4 h-4 text-red-600 flex-shrink-0 mt-0.5" />
+            <p className="text-xs md:text-sm text-red-800">{error}</p>
+          </div>
+        )}
+        <button
+          onClick={handleStartQuiz}
+          disabled={loading}
+          className="w-full px-4 py-3 bg-white hover:bg-indigo-50 disabled:cursor-not-allowed disabled:text-gray-400 border border-indigo-200 text-indigo-600 font-semibold text-sm md:text-base rounded-lg transition-colors duration-200 flex items-center justify-center gap-2"
+        >
+          {loading ? (
+            <>
+              <Loader2 className="w-5 h-5 animate-spin" />
+              <span>Writing your quiz...</span>
+            </>
+          ) : (
+            <>
+              <GraduationCap className="w-5 h-5" />
+              <span>Quiz me</span>
+            </>
+          )}
+        </button>
+      </div>
+    );
+  }
+
+  const { questions } = quiz;
+  const score = questions.filter((question) => isCorrect(question, responses[question.id])).length;
+  const allAnswered = questions.every((question) => responses[question.id]?.trim());
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden shadow-md md:shadow-lg">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-2 px-4 md:px-6 py-3 border-b border-gray-200 bg-gray-50">
+        <div className="flex items-center gap-2">
+          <GraduationCap className="w-5 h-5 text-indigo-600 flex-shrink-0" />
+          <h3 className="font-semibold text-sm md:text-base text-gray-900">Quiz</h3>
+        </div>
+        {submitted && (
+          <span className="text-xs md:text-sm font-semibold text-indigo-600">
+            Score: {score}/{questions.length}
+          </span>
+        )}
+      </div>
+
+      {/* Questions */}
+      <ol className="divide-y divide-gray-100">
+        {questions.map((question, index) => {
+          const response = responses[question.id] || '';
+          const correct = submitted && isCorrect(question, response);
+
+          return (
+            <li key={question.id} className="px-4 md:px-6 py-4 space-y-2">
+              <p className="font-medium text-xs md:text-sm text-gray-900">
+                {index + 1}. {question.question}
+              </p>
+
+              {question.type === 'multiple_choice' ? (
+                <div className="space-y-1">
+                  {question.options.map((option) => (
+                    <label
+                      key={option}
+                      className={`flex items-start gap-2 text-xs md:text-sm rounded-md px-2 py-1 ${
+                        submitted && option === question.answer ? 'bg-green-50 text-green-800' : 'text-gray-700'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name={`quiz-${videoId}-${question.id}`}
+                        value={option}
+                        checked={response === option}
+                        disabled={submitted}
+                        onChange={() => setResponses((prev) => ({ ...prev, [question.id]: option }))}
+                        className="mt-0.5"
+                      />
+                      <span>{option}</span>
+                    </label>
+                  ))}
+                </div>
+              ) : (
+                <input
+                  type="text"
+                  value={response}
+                  disabled={submitted}
+                  onChange={(e) => setResponses((prev) => ({ ...prev, [question.id]: e.target.value }))}
+                  placeholder="Your answer"
+                  className="w-full px-3 py-2 text-xs md:text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-50"
+                />
+              )}
+
+              {submitted && (
+                <div className={`p-3 rounded-md text-xs md:text-sm ${correct ? 'bg-green-50' : 'bg-red-50'}`}>
+                  <p className={`flex items-center gap-1 font-semibold ${correct ? 'text-green-800' : 'text-red-800'}`}>
+                    {correct ? <CheckCircle2 className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+                    {correct ? 'Correct' : `Answer: ${question.answer}`}
+                  </p>
+                  <p className="text-gray-700 mt-1">{question.explanation}</p>
+                  <button
+                    onClick={() => onSeek?.(question.startSec)}
+                    className="mt-2 inline-flex items-center gap-1 text-xs font-semibold text-indigo-600 hover:text-indigo-700 tabular-nums"
+                  >
+                    <PlayCircle className="w-4 h-4" />
+                    Watch at {question.timestamp}
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {/* Footer */}
+      <div className="px-4 md:px-6 py-3 border-t border-gray-200 bg-gray-50 flex items-center justify-end gap-2">
+        {submitted ? (
+          <button
+            onClick={handleRetry}
+            className="px-3 py-2 text-xs md:text-sm text-indigo-600 hover:text-indigo-700 font-semibold flex items-center gap-1"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Try again
+          </button>
+        ) : (
+          <button
+            onClick={() => setSubmitted(true)}
+            disabled={!allAnswered}
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white font-semibold text-xs md:text-sm rounded-lg transition-colors duration-200"
+          >
+            Check answers
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+/**
+ * Video Chat Panel Component
+ * Ask questions about a video; answers come from /api/video-chat and cite [m:ss] timestamps
+ * The conversation is kept per video in sessionStorage
+ */
+'use client';
+
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { MessageCircle, Loader2, Send, XCircle, Trash2 } from 'lucide-react';
+import { parseTimestamp } from '@/lib/videoUtils';
+
+const CITATION_PATTERN = /\[(\d{1,2}:\d{2}(?::\d{2})?)\]/g;
+// Sent with each question so follow-ups have context; the server keeps the same limit
+const HISTORY_MESSAGES_SENT = 10;
+
+const storageKey = (videoId) => `video-chat:${videoId}`;
+
+/**
+ * Load the saved conversation for a video
+ */
+function loadHistory(videoId) {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(storageKey(videoId))) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the conversation for a video
+ */
+function saveHistory(videoId, messages) {
+  try {
+    window.sessionStorage.setItem(storageKey(videoId), JSON.stringify(messages));
+  } catch {
+    // Storage full or unavailable: the chat still works for this page view
+  }
+}
+
+/**
+ * Render answer text with its [m:ss] citations as seek buttons
+ */
+function AnswerText({ text, onSeek }) {
+  const parts = text.split(CITATION_PATTERN);
+
+  // split() with a capture group alternates text and timestamps
+  return parts.map((part, index) =>
+    index % 2 === 1 ? (
+      <button
+        key={index}
+        onClick={() => onSeek?.(parseTimestamp(part))}
+        className="inline-flex items-center px-1 mx-0.5 rounded bg-indigo-100 hover:bg-indigo-200 text-indigo-700 font-semibold tabular-nums"
+      >
+        {part}
+      </button>
+    ) : (
+      <span key={index}>{part}</span>
+    )
+  );
+}
+
+export default function VideoChatPanel({ videoId, title, onSeek }) {
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Restore the conversation when switching videos
+  useEffect(() => {
+    setMessages(loadHistory(videoId));
+    setError(null);
+  }, [videoId]);
+
+  const updateMessages = (nextMessages) => {
+    setMessages(nextMessages);
+    saveHistory(videoId, nextMessages);
+  };
+
+  /**
+   * Send the question with the recent conversation
+   */
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    const trimmed = question.trim();
+    if (!trimmed || loading) return;
+
+    const history = messages.slice(-HISTORY_MESSAGES_SENT).map(({ role, content }) => ({ role, content }));
+    const withQuestion = [...messages, { role: 'user', content: trimmed }];
+
+    setError(null);
+    setLoading(true);
+    setQuestion('');
+    updateMessages(withQuestion);
+
+    try {
+      const chatRes = await axios.post('/api/video-chat', { videoId, title, question: trimmed, history });
+
+      updateMessages([
+        ...withQuestion,
+        {
+          role: 'assistant',
+          content: chatRes.data.answer,
+          grounded: chatRes.data.grounded,
+          refused: chatRes.data.refused,
+        },
+      ]);
+    } catch (err) {
+      console.error('Error asking video question:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to answer the question. Please try again.');
+      // Drop the unanswered question so it isn't sent as history
+      updateMessages(messages);
+      setQuestion(trimmed);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden shadow-md md:shadow-lg">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-2 px-4 md:px-6 py-3 border-b border-gray-200 bg-gray-50">
+        <div className="flex items-center gap-2">
+          <MessageCircle className="w-5 h-5 text-indigo-600 flex-shrink-0" />
+          <h3 className="font-semibold text-sm md:text-base text-gray-900">Ask this video</h3>
+        </div>
+        {messages.length > 0 && (
+          <button
+            onClick={() => updateMessages([])}
+            disabled={loading}
+            className="text-xs text-gray-500 hover:text-gray-700 flex items-center gap-1"
+          >
+            <Trash2 className="w-4 h-4" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {/* Messages */}
+      {messages.length > 0 && (
+        <div className="px-4 md:px-6 py-3 space-y-3 max-h-96 overflow-y-auto">
+          {messages.map((message, index) => (
+            <div key={index} className={message.role === 'user' ? 'flex justify-end' : 'flex justify-start'}>
+              <div
+                className={`max-w-[85%] px-3 py-2 rounded-lg text-xs md:text-sm leading-relaxed ${
+                  message.role === 'user' ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-800'
+                }`}
+              >
+                {message.role === 'user' ? message.content : <AnswerText text={message.content} onSeek={onSeek} />}
+                {message.role === 'assistant' && message.grounded === false && !message.refused && (
+                  <p className="mt-1 text-xs text-amber-700">Not covered in the video.</p>
+                )}
+              </div>
+            </div>
+          ))}
+          {loading && (
+            <div className="flex items-center gap-2 text-xs text-gray-500">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Checking the transcript...
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Error State */}
+      {error && (
+        <div className="mx-4 md:mx-6 my-2 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <XCircle className="w-4 h-4 text-red-600 flex-shrink-0 mt-0.5" />
+          <p className="text-xs md:text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {/* Input */}
+      <form onSubmit={handleAsk} className="flex items-center gap-2 px-4 md:px-6 py-3 border-t border-gray-200">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="Ask a question about this video"
+          maxLength={1000}
+          className="flex-1 min-w-0 px-3 py-2 text-xs md:text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          type="submit"
+          disabled={loading || !question.trim()}
+          className="p-2 bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-md transition-colors duration-200"
+          aria-label="Ask"
+        >
+          {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+        </button>
+      </form>
+    </div>
+  );
+}
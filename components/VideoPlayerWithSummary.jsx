@@ -27,18 +27,38 @@ import {
   ExternalLink,
   Info,
   BarChart3,
+  ListOrdered,
+  PlayCircle,
+  Languages,
+  Download,
 } from 'lucide-react';
+import { formatTimestamp } from '@/lib/videoUtils';
+import { SUMMARY_LANGUAGES } from '@/lib/languages';
+import { TRANSCRIPT_EXPORT_FORMATS } from '@/lib/transcriptExport';
+import { readSSEStream } from '@/lib/sse';
+import QuizPanel from './QuizPanel';
+import VideoChatPanel from './VideoChatPanel';
 
 /**
  * Enhanced VideoPlayerWithSummary component with YouTube compliance
  */
-export default function VideoPlayerWithSummary({ videoId, title }) {
+export default function VideoPlayerWithSummary({ videoId, title, email, module, onFlashcardsSaved }) {
   const [summary, setSummary] = useState(null);
   const [loading, setLoading] = useState(false);
   const [transcriptLoading, setTranscriptLoading] = useState(false);
   const [error, setError] = useState(null);
   const [transcript, setTranscript] = useState(null);
+  const [transcriptData, setTranscriptData] = useState(null);
+  const [captionLanguages, setCaptionLanguages] = useState(null);
+  const [captionLang, setCaptionLang] = useState('');
+  const [outputLang, setOutputLang] = useState(SUMMARY_LANGUAGES[0].code);
+  const [chapters, setChapters] = useState(null);
+  const [chaptersLoading, setChaptersLoading] = useState(false);
+  const [startAt, setStartAt] = useState(0);
+  const [streamProgress, setStreamProgress] = useState(null);
   const [isTruncated, setIsTruncated] = useState(false);
+  const [flashcardsSaving, setFlashcardsSaving] = useState(false);
+  const [flashcardsMessage, setFlashcardsMessage] = useState(null);
   const [videoMeta, setVideoMeta] = useState(null);
   const [playerReady, setPlayerReady] = useState(false);
   const playerRef = useRef(null);
@@ -178,10 +198,189 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
     }
   }, [videoId]);
 
+  /**
+   * Fetch transcript (or metadata fallback) once and reuse it across modes
+   */
+  const loadTranscript = async () => {
+    if (transcriptData) return transcriptData;
+
+    // List the caption languages alongside the first transcript fetch
+    if (!captionLanguages) {
+      axios
+        .get('/api/transcript', { params: { videoId, languages: 1 } })
+        .then((res) => setCaptionLanguages(res.data.languages || []))
+        .catch(() => setCaptionLanguages([]));
+    }
+
+    const transcriptRes = await axios.get('/api/transcript', {
+      params: { videoId, lang: captionLang || undefined },
+    });
+    setTranscriptData(transcriptRes.data);
+    return transcriptRes.data;
+  };
+
+  /**
+   * Switch caption or output language; generated results no longer match
+   */
+  const handleCaptionLangChange = (e) => {
+    setCaptionLang(e.target.value);
+    setTranscriptData(null);
+    setSummary(null);
+    setChapters(null);
+  };
+
+  const handleOutputLangChange = (e) => {
+    setOutputLang(e.target.value);
+    setSummary(null);
+    setChapters(null);
+  };
+
+  /**
+   * Download link for the loaded transcript; same caption language, so it is served from the cache
+   */
+  const transcriptDownloadUrl = (format) => {
+    const params = new URLSearchParams({ videoId, format, title: title || '' });
+    if (captionLang) params.set('lang', captionLang);
+    return `/api/transcript?${params}`;
+  };
+
+  /**
+   * Seek the embedded player to a position, falling back to reloading the iframe
+   */
+  const seekTo = (seconds) => {
+    if (playerReady && playerRef.current?.seekTo) {
+      playerRef.current.seekTo(seconds, true);
+      playerRef.current.playVideo?.();
+      return;
+    }
+    setStartAt(Math.floor(seconds));
+  };
+
+  /**
+   * Generate timestamped chapter outline from transcript segments
+   */
+  const handleGenerateChapters = async () => {
+    setError(null);
+    setChaptersLoading(true);
+
+    try {
+      const data = await loadTranscript();
+
+      if (!data.available || !data.rawSegments?.length) {
+        setError('Chapters need a transcript, and none is available for this video');
+        return;
+      }
+
+      const chaptersRes = await axios.post('/api/summarize', {
+        videoId,
+        title,
+        videoUrl,
+        mode: 'chapters',
+        rawSegments: data.rawSegments,
+        language: outputLang,
+        transcriptLanguage: data.language || undefined,
+      });
+
+      setChapters(chaptersRes.data.chapters || []);
+    } catch (err) {
+      console.error('Error generating chapters:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to generate chapters. Please try again.');
+    } finally {
+      setChaptersLoading(false);
+    }
+  };
+
+  /**
+   * Request a streamed summary, rendering partial text and takeaways as they arrive
+   * @returns {Promise<object>} Final summary result (same shape as the JSON response)
+   */
+  const streamSummary = async (payload) => {
+    const response = await fetch('/api/summarize', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...payload, stream: true }),
+    });
+
+    // Validation and rate limit errors are returned as plain JSON
+    if (!response.ok || !response.body) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Summary request failed with status ${response.status}`);
+    }
+
+    let result = null;
+    let streamError = null;
+
+    await readSSEStream(response.body, ({ event, data }) => {
+      const eventData = JSON.parse(data);
+
+      switch (event) {
+        case 'progress':
+          setStreamProgress(eventData);
+          break;
+        case 'summary':
+          setSummary((prev) => ({
+            ...(prev || { summary: '', takeaways: [], actions: [] }),
+            streaming: true,
+            summary: (prev?.summary || '') + eventData.text,
+          }));
+          break;
+        case 'takeaway':
+          setSummary((prev) => ({ ...prev, takeaways: [...(prev?.takeaways || []), eventData.text] }));
+          break;
+        case 'action':
+          setSummary((prev) => ({ ...prev, actions: [...(prev?.actions || []), eventData.text] }));
+          break;
+        case 'done':
+          result = eventData;
+          break;
+        case 'error':
+          streamError = eventData.error;
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (!result) {
+      throw new Error(streamError || 'Summary stream ended unexpectedly');
+    }
+
+    return result;
+  };
+
+  /**
+   * Turn the summary takeaways into flashcards saved for this user and module
+   */
+  const handleSaveFlashcards = async () => {
+    setFlashcardsSaving(true);
+    setFlashcardsMessage(null);
+
+    try {
+      const flashcardsRes = await axios.post('/api/flashcards', {
+        email,
+        videoId,
+        title,
+        moduleNumber: module?.module_number,
+        moduleTitle: module?.module_title,
+        takeaways: summary.takeaways,
+      });
+
+      const { created } = flashcardsRes.data;
+      setFlashcardsMessage(created > 0 ? `🗂️ ${created} flashcards saved` : '🗂️ Flashcards already saved');
+      onFlashcardsSaved?.();
+    } catch (err) {
+      console.error('Error saving flashcards:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to save flashcards. Please try again.');
+    } finally {
+      setFlashcardsSaving(false);
+    }
+  };
+
   /**
    * Generate AI summary using transcript or metadata
+   * @param {object} options - { refresh } to skip the server's cached summary
    */
-  const handleGenerateSummary = async () => {
+  const handleGenerateSummary = async ({ refresh = false } = {}) => {
     // Fetch metadata on first interaction
     if (!isUserInitialized) {
       setIsUserInitialized(true);
@@ -189,14 +388,14 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
     }
 
     setError(null);
+    setSummary(null);
+    setFlashcardsMessage(null);
     setLoading(true);
     setTranscriptLoading(true);
 
     try {
       // Step 1: Fetch transcript or metadata
-      const transcriptRes = await axios.get('/api/transcript', {
-        params: { videoId },
-      });
+      const transcriptRes = { data: await loadTranscript() };
 
       setTranscriptLoading(false);
 
@@ -218,6 +417,10 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
         videoId,
         title,
         videoUrl,
+        language: outputLang,
+        transcriptLanguage: transcriptRes.data.language || undefined,
+        refresh,
+        email,
       };
 
       if (hasTranscript) {
@@ -226,12 +429,13 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
         summaryPayload.metadata = transcriptRes.data.metadata;
       }
 
-      const summaryRes = await axios.post('/api/summarize', summaryPayload);
+      const summaryData = await streamSummary(summaryPayload);
 
-      setSummary(summaryRes.data);
-      setIsTruncated(summaryRes.data.isTruncated || false);
+      setSummary(summaryData);
+      setIsTruncated(summaryData.isTruncated || false);
     } catch (err) {
       console.error('Error generating summary:', err);
+      setSummary(null);
       const errorMsg =
         err.response?.data?.error ||
         err.message ||
@@ -240,6 +444,7 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
     } finally {
       setLoading(false);
       setTranscriptLoading(false);
+      setStreamProgress(null);
     }
   };
 
@@ -267,7 +472,7 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
           {/* Fallback: Static IFrame embed (always works) */}
           <iframe
             className="w-full h-full"
-            src={`${embedUrl}?modestbranding=1&rel=0&fs=1`}
+            src={`${embedUrl}?modestbranding=1&rel=0&fs=1${startAt ? `&start=${startAt}&autoplay=1` : ''}`}
             title={title}
             allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
             allowFullScreen
@@ -306,7 +511,7 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
         <div className="flex items-start gap-2 p-3 md:p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
           <AlertCircle className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
           <p className="text-xs md:text-sm text-yellow-800">
-            Transcript was truncated to fit model limits. Summary is based on the first portion.
+            Transcript is too long to summarize in full. Summary is based on the first portion.
           </p>
         </div>
       )}
@@ -329,17 +534,80 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
         </div>
       )}
 
+      {/* Language Selection */}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs md:text-sm text-gray-700">
+        <Languages className="w-4 h-4 text-indigo-600 flex-shrink-0" />
+        <label className="flex items-center gap-2">
+          Summary in
+          <select
+            value={outputLang}
+            onChange={handleOutputLangChange}
+            disabled={loading || chaptersLoading}
+            className="px-2 py-1 border border-gray-300 rounded-md bg-white"
+          >
+            {SUMMARY_LANGUAGES.map((language) => (
+              <option key={language.code} value={language.code}>
+                {language.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {captionLanguages?.length > 1 && (
+          <label className="flex items-center gap-2">
+            Captions
+            <select
+              value={captionLang}
+              onChange={handleCaptionLangChange}
+              disabled={loading || chaptersLoading}
+              className="px-2 py-1 border border-gray-300 rounded-md bg-white"
+            >
+              <option value="">Default</option>
+              {captionLanguages.map((language) => (
+                <option key={`${language.code}-${language.autoGenerated}`} value={language.code}>
+                  {language.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {transcriptData?.available && (
+          <details className="relative">
+            <summary className="flex items-center gap-1 cursor-pointer list-none text-indigo-600 hover:text-indigo-700 font-medium">
+              <Download className="w-4 h-4" />
+              Transcript
+            </summary>
+            <div className="absolute z-10 mt-1 w-40 bg-white border border-gray-200 rounded-md shadow-lg py-1">
+              {Object.entries(TRANSCRIPT_EXPORT_FORMATS).map(([format, { label }]) => (
+                <a
+                  key={format}
+                  href={transcriptDownloadUrl(format)}
+                  className="block px-3 py-2 text-gray-700 hover:bg-indigo-50"
+                >
+                  {label}
+                </a>
+              ))}
+            </div>
+          </details>
+        )}
+      </div>
+
       {/* Generate Summary Button */}
       {!summary && (
         <button
-          onClick={handleGenerateSummary}
+          onClick={() => handleGenerateSummary()}
           disabled={loading}
           className="w-full px-4 py-3 md:py-4 bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white font-semibold text-sm md:text-base rounded-lg transition-colors duration-200 flex items-center justify-center gap-2 shadow-md md:shadow-lg hover:shadow-lg"
         >
           {loading ? (
             <>
               <Loader2 className="w-5 h-5 animate-spin" />
-              <span>{transcriptLoading ? 'Fetching transcript...' : 'Generating summary...'}</span>
+              <span>
+                {transcriptLoading
+                  ? 'Fetching transcript...'
+                  : streamProgress
+                    ? `Summarizing part ${streamProgress.part} of ${streamProgress.totalParts}...`
+                    : 'Generating summary...'}
+              </span>
             </>
           ) : (
             <>
@@ -350,13 +618,76 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
         </button>
       )}
 
+      {/* Chapters */}
+      {chapters ? (
+        <div className="bg-white rounded-lg border border-gray-200 overflow-hidden shadow-md md:shadow-lg">
+          <div className="flex items-center gap-2 px-4 md:px-6 py-3 border-b border-gray-200 bg-gray-50">
+            <ListOrdered className="w-5 h-5 text-indigo-600 flex-shrink-0" />
+            <h3 className="font-semibold text-sm md:text-base text-gray-900">Chapters</h3>
+          </div>
+          {chapters.length === 0 ? (
+            <p className="p-4 text-xs md:text-sm text-gray-600">No chapters could be generated for this video.</p>
+          ) : (
+            <ol className="divide-y divide-gray-100">
+              {chapters.map((chapter) => (
+                <li key={chapter.start}>
+                  <button
+                    onClick={() => seekTo(chapter.start)}
+                    className="w-full text-left px-4 md:px-6 py-3 flex items-start gap-3 hover:bg-indigo-50 transition-colors duration-200"
+                  >
+                    <span className="flex-shrink-0 inline-flex items-center gap-1 text-xs font-semibold text-indigo-600 tabular-nums mt-0.5">
+                      <PlayCircle className="w-4 h-4" />
+                      {formatTimestamp(chapter.start)}
+                    </span>
+                    <span className="min-w-0">
+                      <span className="block font-medium text-xs md:text-sm text-gray-900">{chapter.title}</span>
+                      {chapter.gist && (
+                        <span className="block text-xs text-gray-600 mt-0.5">{chapter.gist}</span>
+                      )}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      ) : (
+        <button
+          onClick={handleGenerateChapters}
+          disabled={chaptersLoading}
+          className="w-full px-4 py-3 bg-white hover:bg-indigo-50 disabled:cursor-not-allowed disabled:text-gray-400 border border-indigo-200 text-indigo-600 font-semibold text-sm md:text-base rounded-lg transition-colors duration-200 flex items-center justify-center gap-2"
+        >
+          {chaptersLoading ? (
+            <>
+              <Loader2 className="w-5 h-5 animate-spin" />
+              <span>Generating chapters...</span>
+            </>
+          ) : (
+            <>
+              <ListOrdered className="w-5 h-5" />
+              <span>Show Chapters</span>
+            </>
+          )}
+        </button>
+      )}
+
+      {/* Quiz */}
+      <QuizPanel videoId={videoId} onSeek={seekTo} />
+
+      {/* Q&A Chat */}
+      <VideoChatPanel videoId={videoId} title={title} onSeek={seekTo} />
+
       {/* Summary Display */}
       {summary && (
         <div className="bg-white rounded-lg border border-gray-200 overflow-hidden shadow-md md:shadow-lg">
           {/* Header */}
           <div className="bg-gradient-to-r from-indigo-500 to-indigo-600 px-4 md:px-6 py-3 md:py-4 text-white">
             <div className="flex items-center gap-2">
-              <CheckCircle2 className="w-5 h-5 flex-shrink-0" />
+              {summary.streaming ? (
+                <Loader2 className="w-5 h-5 flex-shrink-0 animate-spin" />
+              ) : (
+                <CheckCircle2 className="w-5 h-5 flex-shrink-0" />
+              )}
               <h3 className="font-semibold text-sm md:text-base">AI Summary</h3>
             </div>
           </div>
@@ -414,19 +745,34 @@ export default function VideoPlayerWithSummary({ videoId, title }) {
           <div className="border-t border-gray-200 px-4 md:px-6 py-3 md:py-4 bg-gray-50 flex flex-col md:flex-row items-start md:items-center justify-between gap-3 md:gap-4">
             <div className="flex items-center gap-2">
               <span className="text-xs text-gray-600">
-                {summary.cached && '📦 Cached result'}
+                {summary.cached && (summary.stale ? '📦 Cached result (an update is on its way)' : '📦 Cached result')}
                 {summary.contentType === 'metadata' && '🤖 AI-generated from video info'}
+                {summary.budgetExhausted && ' ⏸️ AI usage limit reached'}
+                {summary.contentType === 'metadata-only' && ', showing video info only'}
+                {summary.chunks > 1 && ` 📚 Summarized in ${summary.chunks} parts`}
+                {flashcardsMessage && ` ${flashcardsMessage}`}
               </span>
             </div>
-            <button
-              onClick={() => {
-                setSummary(null);
-                setError(null);
-              }}
-              className="text-xs md:text-sm text-indigo-600 hover:text-indigo-700 font-medium"
-            >
-              Generate New
-            </button>
+            {!summary.streaming && (
+              <div className="flex items-center gap-4">
+                {email && summary.takeaways?.length > 0 && (
+                  <button
+                    onClick={handleSaveFlashcards}
+                    disabled={flashcardsSaving}
+                    className="text-xs md:text-sm text-indigo-600 hover:text-indigo-700 disabled:text-gray-400 font-medium flex items-center gap-1"
+                  >
+                    {flashcardsSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+                    Save as flashcards
+                  </button>
+                )}
+                <button
+                  onClick={() => handleGenerateSummary({ refresh: true })}
+                  className="text-xs md:text-sm text-indigo-600 hover:text-indigo-700 font-medium"
+                >
+                  Regenerate
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
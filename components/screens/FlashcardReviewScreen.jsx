@@ -0,0 +1,183 @@
+/**
+ * Flashcard Review Screen Component
+ * Reviews a module's due cards one by one; each rating reschedules the card (SM-2)
+ */
+'use client';
+
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { ArrowLeft, Loader2, Layers, Download, PartyPopper, AlertCircle } from 'lucide-react';
+
+const RATINGS = [
+  { rating: 'again', label: 'Again', className: 'bg-red-50 hover:bg-red-100 text-red-700 border-red-200' },
+  { rating: 'hard', label: 'Hard', className: 'bg-amber-50 hover:bg-amber-100 text-amber-700 border-amber-200' },
+  { rating: 'good', label: 'Good', className: 'bg-green-50 hover:bg-green-100 text-green-700 border-green-200' },
+  { rating: 'easy', label: 'Easy', className: 'bg-indigo-50 hover:bg-indigo-100 text-indigo-700 border-indigo-200' },
+];
+
+export default function FlashcardReviewScreen({ email, module, onBack }) {
+  const [cards, setCards] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [showAnswer, setShowAnswer] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const exportUrl = (format) =>
+    `/api/flashcards/export?email=${encodeURIComponent(email)}&moduleNumber=${module.module_number}&format=${format}`;
+
+  // Load the module's due cards
+  useEffect(() => {
+    const loadDueCards = async () => {
+      setLoading(true);
+      try {
+        const res = await axios.get('/api/flashcards', {
+          params: { email, moduleNumber: module.module_number, due: 1 },
+        });
+        setCards(res.data.cards || []);
+        setIndex(0);
+      } catch (err) {
+        console.error('Error loading flashcards:', err);
+        setError(err.response?.data?.error || 'Failed to load flashcards.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDueCards();
+  }, [email, module.module_number]);
+
+  /**
+   * Record the rating and move on to the next card
+   */
+  const handleRate = async (rating) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await axios.post('/api/flashcards/review', { email, cardId: cards[index].id, rating });
+      setIndex((prev) => prev + 1);
+      setShowAnswer(false);
+    } catch (err) {
+      console.error('Error saving review:', err);
+      setError(err.response?.data?.error || 'Failed to save review. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const card = cards[index];
+
+  return (
+    <div className="p-4 md:p-6 pt-10 animate-fadeIn">
+      <button
+        onClick={onBack}
+        className="flex items-center text-indigo-600 font-semibold mb-4 group hover:text-indigo-700"
+      >
+        <ArrowLeft className="w-5 h-5 mr-2 transition-transform duration-200 group-hover:-translate-x-1" />
+        Back to Module
+      </button>
+
+      <span className="text-sm font-semibold uppercase text-indigo-500">
+        Module {module.module_number} review
+      </span>
+      <h1 className="text-2xl md:text-3xl font-bold text-gray-900 mt-1 mb-6">
+        {module.module_title}
+      </h1>
+
+      {error && (
+        <div className="p-3 mb-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="w-4 h-4 text-red-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-12 text-gray-600">
+          <Loader2 className="w-5 h-5 animate-spin" />
+          <span className="text-sm">Loading due cards...</span>
+        </div>
+      ) : card ? (
+        <div className="space-y-4">
+          <p className="text-xs text-gray-500">
+            Card {index + 1} of {cards.length}
+          </p>
+
+          <div className="bg-white rounded-lg shadow border border-gray-100 p-5 min-h-[10rem] space-y-4">
+            <p className="font-semibold text-gray-900 text-base">{card.front}</p>
+            {showAnswer && (
+              <div className="pt-4 border-t border-gray-100">
+                <p className="text-gray-700 text-sm">{card.back}</p>
+                {card.timestamp && (
+                  <a
+                    href={`https://www.youtube.com/watch?v=${card.videoId}&t=${card.startSec}s`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-block mt-2 text-xs font-semibold text-indigo-600 hover:text-indigo-700"
+                  >
+                    Watch at {card.timestamp}
+                  </a>
+                )}
+              </div>
+            )}
+          </div>
+
+          {showAnswer ? (
+            <div className="grid grid-cols-4 gap-2">
+              {RATINGS.map(({ rating, label, className }) => (
+                <button
+                  key={rating}
+                  onClick={() => handleRate(rating)}
+                  disabled={saving}
+                  className={`px-2 py-3 border rounded-lg text-sm font-semibold transition-colors duration-200 disabled:opacity-50 ${className}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <button
+              onClick={() => setShowAnswer(true)}
+              className="w-full px-4 py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold text-sm rounded-lg transition-colors duration-200"
+            >
+              Show answer
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-12 space-y-2">
+          {cards.length > 0 ? (
+            <PartyPopper className="w-10 h-10 text-indigo-500 mx-auto" />
+          ) : (
+            <Layers className="w-10 h-10 text-gray-400 mx-auto" />
+          )}
+          <p className="font-semibold text-gray-900">
+            {cards.length > 0 ? 'Review complete!' : 'No cards due'}
+          </p>
+          <p className="text-sm text-gray-600">
+            {cards.length > 0
+              ? `You reviewed ${cards.length} card${cards.length === 1 ? '' : 's'}. Come back when the next ones are due.`
+              : 'Save flashcards from a video summary in this module to start reviewing.'}
+          </p>
+        </div>
+      )}
+
+      {/* Anki export */}
+      <div className="mt-8 pt-4 border-t border-gray-200">
+        <p className="text-xs text-gray-600 mb-2">Study offline: export this module&apos;s deck for Anki</p>
+        <div className="flex gap-2">
+          {['tsv', 'csv'].map((format) => (
+            <a
+              key={format}
+              href={exportUrl(format)}
+              className="inline-flex items-center gap-1 px-3 py-2 text-xs font-semibold text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50"
+            >
+              <Download className="w-4 h-4" />
+              {format.toUpperCase()}
+            </a>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,8 +3,11 @@
  */
 'use client';
 
-import { ArrowLeft, ArrowRight, Clock, Youtube, BookOpen, Book, MousePointerClick, Layers } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { ArrowLeft, ArrowRight, Clock, Youtube, BookOpen, Book, MousePointerClick, Layers, Repeat } from 'lucide-react';
 import VideoPlayerWithSummary from '../VideoPlayerWithSummary';
+import FlashcardReviewScreen from './FlashcardReviewScreen';
 import { extractVideoId } from '@/lib/videoUtils';
 
 /**
@@ -25,7 +28,33 @@ function getIcon(type) {
   }
 }
 
-export default function ModuleDetailScreen({ module, onBack }) {
+export default function ModuleDetailScreen({ module, email, onBack }) {
+  const [reviewing, setReviewing] = useState(false);
+  const [dueCount, setDueCount] = useState(0);
+  const [cardsVersion, setCardsVersion] = useState(0);
+
+  // Refresh the due count when returning from a review or saving new cards
+  useEffect(() => {
+    if (!email || reviewing) return;
+
+    const loadDueCount = async () => {
+      try {
+        const res = await axios.get('/api/flashcards', {
+          params: { email, moduleNumber: module.module_number, due: 1 },
+        });
+        setDueCount(res.data.dueCount || 0);
+      } catch (err) {
+        console.error('Error loading due flashcards:', err);
+      }
+    };
+
+    loadDueCount();
+  }, [email, module.module_number, reviewing, cardsVersion]);
+
+  if (reviewing) {
+    return <FlashcardReviewScreen email={email} module={module} onBack={() => setReviewing(false)} />;
+  }
+
   return (
     <div className="p-4 md:p-6 pt-10 animate-fadeIn">
       <button
@@ -55,6 +84,16 @@ export default function ModuleDetailScreen({ module, onBack }) {
         </div>
       </div>
 
+      {email && (
+        <button
+          onClick={() => setReviewing(true)}
+          className="w-full mb-6 px-4 py-3 bg-white hover:bg-indigo-50 border border-indigo-200 text-indigo-600 font-semibold text-sm md:text-base rounded-lg transition-colors duration-200 flex items-center justify-center gap-2"
+        >
+          <Repeat className="w-5 h-5" />
+          <span>Review due cards{dueCount > 0 ? ` (${dueCount})` : ''}</span>
+        </button>
+      )}
+
       <h2 className="text-lg md:text-xl font-bold mb-4 text-gray-800">
         Resources
       </h2>
@@ -81,6 +120,9 @@ export default function ModuleDetailScreen({ module, onBack }) {
                 <VideoPlayerWithSummary
                   videoId={videoId}
                   title={resource.name}
+                  email={email}
+                  module={module}
+                  onFlashcardsSaved={() => setCardsVersion((prev) => prev + 1)}
                 />
               </div>
             ) : (
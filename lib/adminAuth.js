@@ -0,0 +1,31 @@
+/**
+ * Admin-only endpoints
+ * Requests to them send the shared ADMIN_API_TOKEN as `Authorization: Bearer <token>`.
+ * Without a token configured no request is accepted.
+ */
+import crypto from 'crypto';
+
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+
+/**
+ * Check a request's Authorization header against ADMIN_API_TOKEN
+ * @param {string|null|undefined} authorization - Authorization header value
+ * @returns {{ ok: true } | { ok: false, status: 401 | 503, error: string }}
+ *   503 when no token is configured, 401 when the header doesn't carry it
+ */
+export function checkAdminToken(authorization) {
+  if (!ADMIN_API_TOKEN) {
+    return { ok: false, status: 503, error: 'Admin access is not configured on this server (ADMIN_API_TOKEN)' };
+  }
+
+  const [scheme, token = ''] = String(authorization || '').split(' ');
+  // Hashing both sides gives timingSafeEqual equal lengths without revealing the token's
+  const expected = crypto.createHash('sha256').update(ADMIN_API_TOKEN).digest();
+  const received = crypto.createHash('sha256').update(token).digest();
+
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, status: 401, error: 'Missing or invalid admin token' };
+  }
+
+  return { ok: true };
+}
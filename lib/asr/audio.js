@@ -0,0 +1,100 @@
+/**
+ * Audio files for local transcription
+ * One file per video under ASR_AUDIO_DIR, named <videoId>.<ext>: placed there
+ * by hand (or a download job) or uploaded through POST /api/transcript/audio
+ */
+import { createWriteStream, promises as fs } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+
+const ASR_AUDIO_DIR = process.env.ASR_AUDIO_DIR || path.join(process.cwd(), '.data', 'audio');
+export const ASR_MAX_UPLOAD_BYTES = parseInt(process.env.ASR_MAX_UPLOAD_MB || '100', 10) * 1024 * 1024;
+
+/**
+ * Upload content types -> file extension
+ */
+export const AUDIO_CONTENT_TYPES = {
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/flac': 'flac',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+};
+
+const AUDIO_EXTENSIONS = [...new Set(Object.values(AUDIO_CONTENT_TYPES))];
+
+/**
+ * Thrown when an upload is bigger than ASR_MAX_UPLOAD_BYTES
+ */
+export class AudioTooLargeError extends Error {
+  constructor() {
+    super(`Audio file is larger than ${ASR_MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+    this.name = 'AudioTooLargeError';
+  }
+}
+
+/**
+ * Find the audio file of a video
+ * @param {string} videoId - YouTube video ID (already validated: it is used in a path)
+ * @returns {Promise<string|null>} File path, null when there is none
+ */
+export async function findAudioFile(videoId) {
+  for (const extension of AUDIO_EXTENSIONS) {
+    const filePath = path.join(ASR_AUDIO_DIR, `${videoId}.${extension}`);
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch {
+      // Try the next extension
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Save an uploaded audio file for a video, replacing any earlier one
+ * Written to a temporary file first, so a failed upload leaves the old file in place
+ * @param {string} videoId - YouTube video ID (already validated)
+ * @param {import('stream').Readable} body - Request body
+ * @param {string} extension - From AUDIO_CONTENT_TYPES
+ * @returns {Promise<string>} Path of the saved file
+ */
+export async function saveAudioUpload(videoId, body, extension) {
+  await fs.mkdir(ASR_AUDIO_DIR, { recursive: true });
+
+  const filePath = path.join(ASR_AUDIO_DIR, `${videoId}.${extension}`);
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.part`;
+  let received = 0;
+
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > ASR_MAX_UPLOAD_BYTES ? new AudioTooLargeError() : null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(body, limit, createWriteStream(tempPath));
+    if (received === 0) {
+      throw new Error('Audio upload is empty');
+    }
+
+    // Only one file per video: drop copies in other formats
+    for (const other of AUDIO_EXTENSIONS.filter((ext) => ext !== extension)) {
+      await fs.rm(path.join(ASR_AUDIO_DIR, `${videoId}.${other}`), { force: true });
+    }
+    await fs.rename(tempPath, filePath);
+    return filePath;
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
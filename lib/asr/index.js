@@ -0,0 +1,53 @@
+/**
+ * Speech-to-text engine selection
+ *
+ * Used as the last transcript method, after both YouTube caption methods fail,
+ * for videos whose audio is available locally (see ./audio).
+ *
+ * Every engine implements:
+ *   name, model
+ *   validateConfig() -> string[]  configuration errors, empty when usable
+ *   transcribe({ filePath, language }) -> Promise<{ segments, language }>
+ *
+ * segments use the transcript's rawSegments shape: { text, offset, duration }
+ * with offset and duration in milliseconds. `language` is a hint for the
+ * spoken language (undefined to detect it); the returned language is the one
+ * the engine transcribed in, or null when it can't tell.
+ *
+ * Set ASR_ENGINE to none (default, disabled), whisper-cpp or openai.
+ */
+import { createWhisperCppEngine } from './whisperCpp';
+import { createOpenAICompatibleEngine } from './openaiCompatible';
+
+const ENGINES = {
+  'whisper-cpp': createWhisperCppEngine,
+  openai: createOpenAICompatibleEngine,
+};
+
+let engine = null;
+
+/**
+ * Check whether local transcription is turned on
+ * @returns {boolean} True when ASR_ENGINE names an engine
+ */
+export function isASREnabled() {
+  return (process.env.ASR_ENGINE || 'none').toLowerCase() !== 'none';
+}
+
+/**
+ * Get the configured speech-to-text engine
+ * @returns {object} ASR engine
+ */
+export function getASREngine() {
+  if (engine) return engine;
+
+  const name = (process.env.ASR_ENGINE || 'none').toLowerCase();
+  const createEngine = ENGINES[name];
+
+  if (!createEngine) {
+    throw new Error(`Unknown ASR_ENGINE "${name}". Expected one of: none, ${Object.keys(ENGINES).join(', ')}`);
+  }
+
+  engine = createEngine();
+  return engine;
+}
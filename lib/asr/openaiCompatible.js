@@ -0,0 +1,70 @@
+/**
+ * OpenAI-compatible transcription engine
+ * Works with OpenAI and local servers exposing /v1/audio/transcriptions
+ * (faster-whisper-server / Speaches, whisper.cpp server with --inference-path)
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { isValidLanguageCode } from '@/lib/languages';
+
+const ASR_BASE_URL = (process.env.ASR_BASE_URL || 'http://localhost:8000/v1').replace(/\/+$/, '');
+const ASR_MODEL = process.env.ASR_MODEL || 'whisper-1';
+const ASR_API_KEY = process.env.ASR_API_KEY;
+const ASR_TIMEOUT_SEC = parseInt(process.env.ASR_TIMEOUT_SEC || '1800', 10);
+
+/**
+ * Create the OpenAI-compatible transcription engine
+ * @returns {object} ASR engine
+ */
+export function createOpenAICompatibleEngine() {
+  const url = `${ASR_BASE_URL}/audio/transcriptions`;
+  // Local servers usually don't need a key
+  const headers = ASR_API_KEY ? { Authorization: `Bearer ${ASR_API_KEY}` } : {};
+
+  return {
+    name: 'openai',
+    model: ASR_MODEL,
+
+    validateConfig() {
+      return ASR_BASE_URL ? [] : ['ASR_BASE_URL is not set in environment variables'];
+    },
+
+    async transcribe({ filePath, language }) {
+      const form = new FormData();
+      form.append('file', new Blob([await fs.readFile(filePath)]), path.basename(filePath));
+      form.append('model', ASR_MODEL);
+      form.append('response_format', 'verbose_json');
+      form.append('timestamp_granularities[]', 'segment');
+      if (language) {
+        form.append('language', language);
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: form,
+        signal: AbortSignal.timeout(ASR_TIMEOUT_SEC * 1000),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(`Transcription API error (${response.status}): ${errorData?.error?.message || 'Unknown error'}`);
+      }
+
+      const data = await response.json();
+      const segments = (data.segments || [])
+        .map((seg) => ({
+          text: String(seg.text || '').trim(),
+          offset: Math.round((seg.start || 0) * 1000),
+          duration: Math.round(Math.max(0, (seg.end || 0) - (seg.start || 0)) * 1000),
+        }))
+        .filter((seg) => seg.text);
+
+      // OpenAI reports the language by name ('english'); only codes are kept
+      return {
+        segments,
+        language: isValidLanguageCode(data.language) ? data.language : language || null,
+      };
+    },
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * whisper.cpp engine
+ * Runs the whisper.cpp CLI (whisper-cli, formerly main) as a local process
+ * and reads the JSON file it writes. Formats it can't read are converted
+ * to 16 kHz mono WAV with ffmpeg first.
+ */
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const WHISPER_CPP_BIN = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+const WHISPER_CPP_MODEL = process.env.WHISPER_CPP_MODEL || '';
+const WHISPER_CPP_THREADS = parseInt(process.env.WHISPER_CPP_THREADS || '0', 10);
+const FFMPEG_BIN = process.env.FFMPEG_BIN || 'ffmpeg';
+const ASR_TIMEOUT_SEC = parseInt(process.env.ASR_TIMEOUT_SEC || '1800', 10);
+
+// Read by whisper.cpp itself; anything else goes through ffmpeg
+const NATIVE_EXTENSIONS = new Set(['.wav', '.mp3', '.flac', '.ogg']);
+
+const run = promisify(execFile);
+
+/**
+ * Run a command, failing with its stderr when it exits non-zero or times out
+ */
+async function runCommand(command, args) {
+  try {
+    return await run(command, args, { timeout: ASR_TIMEOUT_SEC * 1000, maxBuffer: 16 * 1024 * 1024 });
+  } catch (error) {
+    const reason = error.code === 'ENOENT'
+      ? `${command} not found`
+      : error.killed ? `timed out after ${ASR_TIMEOUT_SEC}s` : (error.stderr || error.message).trim().split('\n').pop();
+    throw new Error(`${path.basename(command)} failed: ${reason}`);
+  }
+}
+
+/**
+ * Convert whisper.cpp's JSON output to rawSegments
+ * @param {object} output - Contents of the -oj file
+ * @returns {object[]} Segments with offset and duration in milliseconds
+ */
+function parseWhisperOutput(output) {
+  return (output?.transcription || [])
+    .map((entry) => ({
+      text: String(entry.text || '').replace(/\s+/g, ' ').trim(),
+      offset: entry.offsets?.from || 0,
+      duration: Math.max(0, (entry.offsets?.to || 0) - (entry.offsets?.from || 0)),
+    }))
+    .filter((seg) => seg.text && !/^\[[^\]]*\]$/.test(seg.text)); // drop [BLANK_AUDIO] and similar markers
+}
+
+/**
+ * Create the whisper.cpp engine
+ * @returns {object} ASR engine
+ */
+export function createWhisperCppEngine() {
+  return {
+    name: 'whisper-cpp',
+    model: path.basename(WHISPER_CPP_MODEL),
+
+    validateConfig() {
+      return WHISPER_CPP_MODEL ? [] : ['WHISPER_CPP_MODEL is not set in environment variables'];
+    },
+
+    async transcribe({ filePath, language }) {
+      const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'edujoy-asr-'));
+
+      try {
+        let input = filePath;
+        if (!NATIVE_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+          input = path.join(workDir, 'audio.wav');
+          await runCommand(FFMPEG_BIN, ['-nostdin', '-loglevel', 'error', '-i', filePath, '-ar', '16000', '-ac', '1', input]);
+        }
+
+        const outputBase = path.join(workDir, 'transcript');
+        const args = ['-m', WHISPER_CPP_MODEL, '-f', input, '-l', language || 'auto', '-oj', '-of', outputBase, '-np'];
+        if (WHISPER_CPP_THREADS > 0) {
+          args.push('-t', String(WHISPER_CPP_THREADS));
+        }
+        await runCommand(WHISPER_CPP_BIN, args);
+
+        const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+        return {
+          segments: parseWhisperOutput(output),
+          language: output?.result?.language || language || null,
+        };
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * File-system cache driver
+ * One JSON file per key under CACHE_DIR, so entries survive restarts and can be
+ * shared by processes on the same machine (or a mounted volume)
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(process.cwd(), '.cache', 'edujoy');
+
+/**
+ * File holding a key; keys are hashed because they may contain any character
+ */
+function fileForKey(key) {
+  const hash = crypto.createHash('sha256').update(key).digest('hex');
+  return path.join(CACHE_DIR, `${hash}.json`);
+}
+
+/**
+ * Read an entry file, null when it is missing or unreadable
+ */
+async function readEntry(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Cache] Ignoring unreadable cache file ${file}:`, error.message);
+    }
+    return null;
+  }
+}
+
+async function removeFile(file) {
+  await fs.unlink(file).catch((error) => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+}
+
+/**
+ * Entry files in the cache directory, with their entries
+ */
+async function listEntries() {
+  let names;
+  try {
+    names = await fs.readdir(CACHE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = names.filter((name) => name.endsWith('.json')).map((name) => path.join(CACHE_DIR, name));
+  return Promise.all(files.map(async (file) => ({ file, entry: await readEntry(file) })));
+}
+
+export function createFileCache() {
+  return {
+    async get(key) {
+      const file = fileForKey(key);
+      const entry = await readEntry(file);
+      if (!entry || entry.key !== key) return null;
+
+      if (Date.now() > entry.expiresAt) {
+        await removeFile(file);
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlSec) {
+      const file = fileForKey(key);
+      const entry = { key, value, expiresAt: Date.now() + ttlSec * 1000 };
+
+      // Write then rename, so readers never see a half-written file
+      const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.mkdir(CACHE_DIR, { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(entry));
+      await fs.rename(tempFile, file);
+    },
+
+    async delete(key) {
+      await removeFile(fileForKey(key));
+    },
+
+    async clear(prefix = '') {
+      const entries = await listEntries();
+      await Promise.all(
+        entries
+          .filter(({ entry }) => !entry || entry.key?.startsWith(prefix))
+          .map(({ file }) => removeFile(file))
+      );
+    },
+
+    async size(prefix = '') {
+      const now = Date.now();
+      const entries = await listEntries();
+      return entries.filter(({ entry }) => entry && entry.expiresAt >= now && entry.key?.startsWith(prefix)).length;
+    },
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * Cache driver selection
+ *
+ * Every driver implements (all async):
+ *   get(key) -> value, or null when missing or expired
+ *   set(key, value, ttlSec)
+ *   delete(key)
+ *   clear(prefix?) -> removes every entry, or only keys starting with prefix
+ *   size(prefix?) -> number of entries
+ *   stats() -> optional usage counters (hits, misses, evictions, ...)
+ *
+ * Values must be JSON-serializable: the file and Redis drivers store them as JSON.
+ * Callers take a namespace (cache.namespace('summary')) so keys from different
+ * features never collide and each feature's entries can be cleared together.
+ *
+ * Concurrent misses for the same key can share one computation with
+ * cache.coalesce(); that deduplication is per process, whatever the driver.
+ *
+ * Set CACHE_DRIVER to memory (default), file or redis.
+ */
+import { createMemoryCache } from './memory';
+import { createFileCache } from './file';
+import { createRedisCache } from './redis';
+
+const DRIVERS = {
+  memory: createMemoryCache,
+  file: createFileCache,
+  redis: createRedisCache,
+};
+
+let driver = null;
+let driverName = null;
+
+// Full key -> promise of the computation running for it
+const inFlight = new Map();
+
+/**
+ * Get the configured cache driver
+ * @returns {object} Cache driver
+ */
+export function getCacheDriver() {
+  if (driver) return driver;
+
+  const name = (process.env.CACHE_DRIVER || 'memory').toLowerCase();
+  const createDriver = DRIVERS[name];
+
+  if (!createDriver) {
+    throw new Error(`Unknown CACHE_DRIVER "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  driver = createDriver();
+  driverName = name;
+  return driver;
+}
+
+/**
+ * Cache view over the configured driver, optionally limited to a key prefix
+ * A broken backend never fails a request: reads miss and writes are dropped
+ */
+class Cache {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+  }
+
+  /**
+   * Cache whose keys are stored as `${name}:${key}`
+   * @param {string} name - Namespace, e.g. 'transcript'
+   * @returns {Cache}
+   */
+  namespace(name) {
+    return new Cache(`${this.prefix}${name}:`);
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<any|null>} Cached value or null if expired/missing
+   */
+  async get(key) {
+    try {
+      return await getCacheDriver().get(this.prefix + key);
+    } catch (error) {
+      console.error('[Cache] Read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {any} value - JSON-serializable value
+   * @param {number} ttlSec - Time-to-live in seconds
+   */
+  async set(key, value, ttlSec) {
+    try {
+      await getCacheDriver().set(this.prefix + key, value, ttlSec);
+    } catch (error) {
+      console.error('[Cache] Write failed:', error.message);
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    await getCacheDriver().delete(this.prefix + key);
+  }
+
+  /**
+   * Run compute once for concurrent callers with the same key
+   * Callers arriving while it runs get the same promise, rejections included.
+   * Nothing is cached here: compute decides what (if anything) to store.
+   * @param {string} key - Cache key the computation produces
+   * @param {function} compute - Async function to run
+   * @returns {Promise<any>} Result of compute
+   */
+  coalesce(key, compute) {
+    const fullKey = this.prefix + key;
+    const pending = inFlight.get(fullKey);
+    if (pending) return pending;
+
+    const promise = Promise.resolve()
+      .then(compute)
+      .finally(() => inFlight.delete(fullKey));
+    inFlight.set(fullKey, promise);
+    return promise;
+  }
+
+  /**
+   * Remove every entry in this namespace
+   */
+  async clear() {
+    await getCacheDriver().clear(this.prefix);
+  }
+
+  /**
+   * @returns {Promise<number>} Number of entries in this namespace
+   */
+  async size() {
+    return getCacheDriver().size(this.prefix);
+  }
+
+  /**
+   * Driver name and usage counters; drivers without counters only report their size
+   * @returns {Promise<object>} e.g. { driver: 'memory', entries, bytes, hits, misses, hitRate, evictions, ... }
+   */
+  async stats() {
+    const cacheDriver = getCacheDriver();
+    const counters = cacheDriver.stats ? await cacheDriver.stats() : { entries: await cacheDriver.size() };
+    return { driver: driverName, ...counters };
+  }
+}
+
+// Global cache instance
+export const cache = new Cache();
@@ -0,0 +1,194 @@
+/**
+ * In-memory cache driver with TTL support
+ * Entries live in this process only: they are lost on restart and not shared
+ * between instances. Use the file or Redis driver for anything longer-lived.
+ *
+ * The store is bounded: once it holds more than maxEntries entries or maxBytes
+ * bytes, the least recently used entries are evicted. Expired entries are
+ * removed when read and by a periodic sweep.
+ */
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '1000', 10);
+const MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES || '52428800', 10);
+const SWEEP_INTERVAL_SEC = parseInt(process.env.CACHE_SWEEP_INTERVAL_SEC || '60', 10);
+
+/**
+ * Approximate memory used by an entry: its key and value as UTF-8 JSON
+ */
+function estimateBytes(key, value) {
+  return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value) ?? '');
+}
+
+export class CacheStore {
+  /**
+   * @param {object} options - { maxEntries, maxBytes, sweepIntervalSec }; 0 disables a limit or the sweep
+   */
+  constructor({ maxEntries = 0, maxBytes = 0, sweepIntervalSec = 0 } = {}) {
+    // Map iteration order doubles as recency order: oldest first
+    this.store = new Map();
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+    if (sweepIntervalSec > 0) {
+      // unref: the sweep alone shouldn't keep the process alive
+      setInterval(() => this.sweep(), sweepIntervalSec * 1000).unref?.();
+    }
+  }
+
+  /**
+   * Set cache value with TTL
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {number} ttlSec - Time-to-live in seconds
+   */
+  async set(key, value, ttlSec) {
+    const bytes = estimateBytes(key, value);
+    this.remove(key);
+
+    if (this.maxBytes > 0 && bytes > this.maxBytes) {
+      console.warn(`[Cache] Not caching ${key}: ${bytes} bytes is over the ${this.maxBytes} byte limit`);
+      return;
+    }
+
+    const expiresAt = Date.now() + ttlSec * 1000;
+    this.store.set(key, { value, expiresAt, bytes });
+    this.bytes += bytes;
+    this.evict();
+  }
+
+  /**
+   * Get cache value if not expired
+   * @param {string} key - Cache key
+   * @returns {Promise<any|null>} Cached value or null if expired/missing
+   */
+  async get(key) {
+    const entry = this.store.get(key);
+    if (!entry) {
+      this.counters.misses++;
+      return null;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.remove(key);
+      this.counters.expirations++;
+      this.counters.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.store.delete(key);
+    this.store.set(key, entry);
+    this.counters.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this.remove(key);
+  }
+
+  /**
+   * Clear all cache, or only the keys starting with prefix
+   * @param {string} [prefix] - Key prefix
+   */
+  async clear(prefix = '') {
+    if (!prefix) {
+      this.store.clear();
+      this.bytes = 0;
+      return;
+    }
+
+    for (const key of this.store.keys()) {
+      if (key.startsWith(prefix)) this.remove(key);
+    }
+  }
+
+  /**
+   * Get cache size for monitoring
+   * @param {string} [prefix] - Only count keys starting with prefix
+   * @returns {Promise<number>} Number of entries
+   */
+  async size(prefix = '') {
+    if (!prefix) return this.store.size;
+
+    let count = 0;
+    for (const key of this.store.keys()) {
+      if (key.startsWith(prefix)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Usage counters since startup, for monitoring
+   * @returns {Promise<{ entries: number, bytes: number, maxEntries: number, maxBytes: number, hits: number, misses: number, hitRate: number | null, evictions: number, expirations: number }>}
+   *   hitRate is hits / lookups, null before the first lookup
+   */
+  async stats() {
+    const { hits, misses } = this.counters;
+    return {
+      entries: this.store.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ...this.counters,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+    };
+  }
+
+  /**
+   * Remove every expired entry
+   * @returns {number} Number of entries removed
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.store) {
+      if (now > entry.expiresAt) {
+        this.remove(key);
+        removed++;
+      }
+    }
+
+    this.counters.expirations += removed;
+    return removed;
+  }
+
+  /**
+   * Drop an entry and its bytes from the accounting
+   */
+  remove(key) {
+    const entry = this.store.get(key);
+    if (!entry) return;
+
+    this.store.delete(key);
+    this.bytes -= entry.bytes;
+  }
+
+  /**
+   * Evict least recently used entries until both limits are met
+   */
+  evict() {
+    for (const key of this.store.keys()) {
+      const overEntries = this.maxEntries > 0 && this.store.size > this.maxEntries;
+      const overBytes = this.maxBytes > 0 && this.bytes > this.maxBytes;
+      if (!overEntries && !overBytes) return;
+
+      this.remove(key);
+      this.counters.evictions++;
+    }
+  }
+}
+
+export function createMemoryCache() {
+  return new CacheStore({
+    maxEntries: MAX_ENTRIES,
+    maxBytes: MAX_BYTES,
+    sweepIntervalSec: SWEEP_INTERVAL_SEC,
+  });
+}
@@ -0,0 +1,66 @@
+/**
+ * Redis cache driver
+ * Shared by every instance of the app; Redis expires entries itself (SET ... EX).
+ */
+import { getRedisClient, REDIS_KEY_PREFIX as KEY_PREFIX } from '@/lib/redis';
+
+const SCAN_COUNT = 500;
+
+/**
+ * Escape glob characters so a key prefix can be used in a SCAN MATCH pattern
+ */
+function escapePattern(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+export function createRedisCache() {
+  if (!process.env.REDIS_URL) {
+    throw new Error('REDIS_URL is required when CACHE_DRIVER=redis');
+  }
+
+  /**
+   * Iterate over the full Redis keys starting with prefix, in batches
+   */
+  async function* scanKeys(client, prefix) {
+    const match = `${escapePattern(KEY_PREFIX + prefix)}*`;
+    for await (const keys of client.scanIterator({ MATCH: match, COUNT: SCAN_COUNT })) {
+      if (keys.length > 0) yield keys;
+    }
+  }
+
+  return {
+    async get(key) {
+      const client = await getRedisClient();
+      const text = await client.get(KEY_PREFIX + key);
+      return text === null ? null : JSON.parse(text);
+    },
+
+    async set(key, value, ttlSec) {
+      const client = await getRedisClient();
+      await client.set(KEY_PREFIX + key, JSON.stringify(value), {
+        expiration: { type: 'EX', value: Math.max(1, Math.ceil(ttlSec)) },
+      });
+    },
+
+    async delete(key) {
+      const client = await getRedisClient();
+      await client.del(KEY_PREFIX + key);
+    },
+
+    async clear(prefix = '') {
+      const client = await getRedisClient();
+      for await (const keys of scanKeys(client, prefix)) {
+        await client.unlink(keys);
+      }
+    },
+
+    async size(prefix = '') {
+      const client = await getRedisClient();
+      let count = 0;
+      for await (const keys of scanKeys(client, prefix)) {
+        count += keys.length;
+      }
+      return count;
+    },
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Client IP resolution behind reverse proxies
+ *
+ * X-Forwarded-For is only believed as far as trusted proxies vouch for it.
+ * The address chain is the header's entries followed by the connection's peer
+ * address; walking it from the right, addresses are skipped while they belong
+ * to a trusted proxy, and the first other address is the client:
+ *   TRUSTED_PROXY_HOPS  number of proxies in front of the app (1 on Vercel or
+ *                       behind a single nginx); the last N chain entries are skipped
+ *   TRUSTED_PROXIES     comma-separated IPs/CIDRs of proxies, or the presets
+ *                       loopback, private and linklocal
+ * With neither set, no header is trusted and the peer address is the client.
+ *
+ * App routes don't see the peer address. With TRUSTED_PROXY_HOPS or
+ * TRUSTED_PROXIES set it counts as one trusted hop there. With neither, nothing
+ * identifies the client: Next only fills in X-Forwarded-For when the request has
+ * none, so all of it may come from the client. Every such client is 'unknown',
+ * one shared rate limit bucket, and a warning asks for the proxy settings.
+ *
+ * IPv6 clients are reduced to their /64 network, since a single host usually
+ * controls a whole /64 and could otherwise rotate addresses to dodge limits.
+ */
+import net from 'net';
+
+const TRUSTED_PROXY_HOPS = parseInt(process.env.TRUSTED_PROXY_HOPS || '0', 10);
+const TRUSTED_PROXIES = process.env.TRUSTED_PROXIES || '';
+const IPV6_CLIENT_PREFIX = 64;
+
+const PROXY_PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+};
+
+/**
+ * Strip brackets, ports, zone IDs and IPv4-mapped prefixes from an address
+ * @param {string} value - Address as found in a header or socket ('[::1]:443', '1.2.3.4:80', '::ffff:1.2.3.4')
+ * @returns {string|null} Bare IPv4 or IPv6 address, null if it isn't one
+ */
+export function parseIp(value) {
+  if (typeof value !== 'string') return null;
+
+  let address = value.trim();
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    address = address.slice(0, address.lastIndexOf(':'));
+  }
+
+  address = address.replace(/%.*$/, '');
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) address = mapped[1];
+
+  return net.isIP(address) ? address : null;
+}
+
+/**
+ * Expand an IPv6 address to its eight 16-bit groups
+ */
+function ipv6Groups(address) {
+  let text = address.toLowerCase();
+
+  // Embedded IPv4 tail (::1.2.3.4) becomes two groups
+  const ipv4Tail = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4Tail) {
+    const [a, b, c, d] = ipv4Tail.slice(1).map(Number);
+    text = text.slice(0, ipv4Tail.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.includes('::') ? text.split('::') : [text, null];
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === null ? 0 : 8 - headGroups.length - tailGroups.length;
+
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map((group) => parseInt(group, 16));
+}
+
+/**
+ * Identify a client by address: IPv4 as is, IPv6 as its /64 network
+ * @param {string} address - Bare address from parseIp
+ * @returns {string} e.g. '203.0.113.7' or '2001:db8:1:2::/64'
+ */
+export function normalizeClientIp(address) {
+  if (net.isIPv4(address)) return address;
+
+  const keptGroups = IPV6_CLIENT_PREFIX / 16;
+  const groups = ipv6Groups(address).map((group, index) => (index < keptGroups ? group : 0).toString(16));
+
+  // Let URL parsing produce the canonical compressed form
+  const { hostname } = new URL(`http://[${groups.join(':')}]/`);
+  return `${hostname.slice(1, -1)}/${IPV6_CLIENT_PREFIX}`;
+}
+
+/**
+ * Build the list of trusted proxy networks from TRUSTED_PROXIES
+ * @returns {net.BlockList}
+ */
+function buildTrustedProxies(spec) {
+  const blockList = new net.BlockList();
+  const entries = spec.split(',').map((entry) => entry.trim()).filter(Boolean);
+
+  for (const entry of entries.flatMap((entry) => PROXY_PRESETS[entry.toLowerCase()] || [entry])) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(address)) {
+      console.warn(`[ClientIp] Ignoring invalid TRUSTED_PROXIES entry "${entry}"`);
+    } else if (prefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, parseInt(prefix, 10), type);
+    }
+  }
+
+  return blockList;
+}
+
+const trustedProxies = buildTrustedProxies(TRUSTED_PROXIES);
+
+function isTrustedProxy(address) {
+  return trustedProxies.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+let warnedUnconfigured = false;
+
+/**
+ * Warn once that app routes can't tell clients apart without proxy settings
+ */
+function warnUnconfiguredProxies() {
+  if (warnedUnconfigured) return;
+  warnedUnconfigured = true;
+  console.warn('[ClientIp] Neither TRUSTED_PROXY_HOPS nor TRUSTED_PROXIES is set: app routes rate limit all clients as one');
+}
+
+/**
+ * Get client IP from request
+ * @param {object} req - Next.js API request, or a Web Request in app routes
+ * @returns {string} Normalized client address, or 'unknown'
+ */
+export function getClientIp(req) {
+  const forwardedFor = typeof req.headers.get === 'function'
+    ? req.headers.get('x-forwarded-for')
+    : req.headers['x-forwarded-for'];
+  const forwarded = String(forwardedFor || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  // Rightmost first: the peer, then each address the proxies before it saw
+  const chain = [...forwarded, req.socket?.remoteAddress].reverse();
+
+  for (let hop = 0; hop < chain.length; hop++) {
+    const address = parseIp(chain[hop]);
+    const isPeer = hop === 0;
+
+    // No peer address (app routes): it can only be the nearest proxy
+    if (isPeer && chain[hop] === undefined) {
+      if (TRUSTED_PROXY_HOPS > 0 || TRUSTED_PROXIES) continue;
+
+      warnUnconfiguredProxies();
+      return 'unknown';
+    }
+
+    // Not an address: nothing further left can be trusted either
+    if (!address) return 'unknown';
+
+    if (hop < TRUSTED_PROXY_HOPS || isTrustedProxy(address)) continue;
+
+    return normalizeClientIp(address);
+  }
+
+  // Every address was a trusted proxy: the leftmost is the closest thing to a client
+  const leftmost = parseIp(chain[chain.length - 1]);
+  return leftmost ? normalizeClientIp(leftmost) : 'unknown';
+}
@@ -0,0 +1,101 @@
+/**
+ * Flashcard Store with Prisma + Neon PostgreSQL
+ * Stores each user's flashcards together with their SM-2 review schedule
+ */
+
+import { prisma } from './prisma';
+import { scheduleReview } from './srs';
+
+export interface FlashcardInput {
+  videoId: string;
+  moduleNumber?: number | null;
+  moduleTitle?: string | null;
+  source: string;
+  front: string;
+  back: string;
+  timestamp?: string | null;
+  startSec?: number | null;
+}
+
+export interface FlashcardFilter {
+  moduleNumber?: number;
+  videoId?: string;
+  dueOnly?: boolean;
+}
+
+/**
+ * Build the Prisma where clause for a user's cards
+ */
+function buildWhere(email: string, { moduleNumber, videoId, dueOnly }: FlashcardFilter = {}) {
+  return {
+    email,
+    ...(moduleNumber !== undefined && { moduleNumber }),
+    ...(videoId && { videoId }),
+    ...(dueOnly && { dueAt: { lte: new Date() } }),
+  };
+}
+
+/**
+ * Save new flashcards for a user
+ * Cards whose question already exists for the video are skipped so their review history is kept
+ * @returns Number of cards created
+ */
+export async function saveFlashcards(email: string, cards: FlashcardInput[]): Promise<number> {
+  try {
+    const result = await prisma.flashcard.createMany({
+      data: cards.map((card) => ({ ...card, email })),
+      skipDuplicates: true,
+    });
+
+    console.log(`✅ Saved ${result.count}/${cards.length} flashcards for: ${email}`);
+    return result.count;
+  } catch (error) {
+    console.error('❌ Failed to save flashcards:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's flashcards, soonest due first
+ */
+export async function listFlashcards(email: string, filter: FlashcardFilter = {}) {
+  return prisma.flashcard.findMany({
+    where: buildWhere(email, filter),
+    orderBy: [{ dueAt: 'asc' }, { id: 'asc' }],
+  });
+}
+
+/**
+ * Count a user's cards that are due for review
+ */
+export async function countDueFlashcards(email: string, filter: FlashcardFilter = {}): Promise<number> {
+  return prisma.flashcard.count({
+    where: buildWhere(email, { ...filter, dueOnly: true }),
+  });
+}
+
+/**
+ * Record a review and schedule the card's next one
+ * @param grade - SM-2 recall quality from 0 to 5
+ * @returns The updated card, or null if the user has no such card
+ */
+export async function reviewFlashcard(email: string, id: number, grade: number) {
+  const card = await prisma.flashcard.findFirst({ where: { id, email } });
+  if (!card) {
+    return null;
+  }
+
+  return prisma.flashcard.update({
+    where: { id },
+    data: scheduleReview(card, grade),
+  });
+}
+
+/**
+ * Delete one of a user's flashcards
+ * @returns true if a card was deleted
+ */
+export async function deleteFlashcard(email: string, id: number): Promise<boolean> {
+  const result = await prisma.flashcard.deleteMany({ where: { id, email } });
+  return result.count > 0;
+}
@@ -0,0 +1,182 @@
+/**
+ * Flashcard generation and Anki export
+ * Cards come from summary takeaways or, without them, from a pass over the transcript
+ */
+import { formatTimestamp, parseTimestamp } from '@/lib/videoUtils';
+import { MAX_TRANSCRIPT_CHARS, truncateTranscript, buildTimestampedText } from '@/lib/transcript';
+import { getLLMProvider, generateStructured } from '@/lib/llm';
+
+export const DEFAULT_FLASHCARD_COUNT = 8;
+export const EXPORT_FORMATS = {
+  csv: { separator: ',', directive: 'comma', contentType: 'text/csv; charset=utf-8' },
+  tsv: { separator: '\t', directive: 'tab', contentType: 'text/tab-separated-values; charset=utf-8' },
+};
+
+const CARD_TEXT = { type: 'string', minLength: 1, maxLength: 500 };
+
+/**
+ * Schema for an exact number of cards
+ */
+function buildFlashcardsSchema(count) {
+  return {
+    type: 'object',
+    required: ['cards'],
+    properties: {
+      cards: {
+        type: 'array',
+        minItems: count,
+        maxItems: count,
+        items: {
+          type: 'object',
+          required: ['front', 'back'],
+          properties: {
+            front: CARD_TEXT,
+            back: CARD_TEXT,
+            timestamp: { type: 'string', minLength: 4, maxLength: 8 },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Build system and user prompts for either generation pass
+ */
+function buildFlashcardsPrompt(title, videoUrl, { takeaways, transcript, count }) {
+  const cardRules = `Each card tests one idea: the front is a specific question, the back a short answer (one or two sentences). Avoid yes/no questions. Respond with ONLY a valid JSON object, no additional text or markdown.`;
+
+  if (takeaways) {
+    return {
+      systemPrompt: `You are an expert learning assistant writing study flashcards. Turn each key takeaway into one flashcard and return a JSON object with this exact key:
+- cards: An array of exactly ${count} cards in the same order as the takeaways, each an object with:
+  - front: A question whose answer is the takeaway
+  - back: The answer
+
+${cardRules}`,
+      userPrompt: `Video Title: "${title}"
+URL: ${videoUrl}
+
+Key takeaways:
+${takeaways.map((takeaway, index) => `${index + 1}. ${takeaway}`).join('\n')}`,
+    };
+  }
+
+  return {
+    systemPrompt: `You are an expert learning assistant writing study flashcards. The provided video transcript contains [m:ss] timestamps. Return a JSON object with this exact key:
+- cards: An array of exactly ${count} cards covering the most important ideas in video order, each an object with:
+  - front: A question
+  - back: The answer
+  - timestamp: Where the answer is covered, copied exactly from a [m:ss] marker in the transcript (without brackets)
+
+${cardRules}`,
+    userPrompt: `Video Title: "${title}"
+URL: ${videoUrl}
+
+Write exactly ${count} flashcards.
+
+Timestamped transcript:
+${transcript}`,
+  };
+}
+
+/**
+ * @typedef {object} GeneratedFlashcard
+ * @property {string} front
+ * @property {string} back
+ * @property {string | null} timestamp - m:ss where the answer is covered (transcript cards only)
+ * @property {number | null} startSec
+ * @property {string} source - 'takeaways' or 'transcript'
+ */
+
+/**
+ * Generate flashcards for a video
+ * @param {object} options - { title, videoUrl, takeaways?, segments?, count? }; takeaways win over segments
+ * @returns {Promise<{ success: boolean, data?: GeneratedFlashcard[], validationErrors?: string[] }>}
+ *   Failures are generateStructured results
+ */
+export async function generateFlashcards({ title, videoUrl, takeaways, segments, count = DEFAULT_FLASHCARD_COUNT }) {
+  const fromTakeaways = Array.isArray(takeaways) && takeaways.length > 0;
+  let promptOptions;
+  let validate;
+
+  if (fromTakeaways) {
+    promptOptions = { takeaways, count: takeaways.length };
+  } else {
+    const { text, durationSec } = buildTimestampedText(segments);
+    promptOptions = { transcript: truncateTranscript(text, MAX_TRANSCRIPT_CHARS).transcript, count };
+    validate = (data) => data.cards.flatMap((card, index) => {
+      const startSec = parseTimestamp(card.timestamp);
+      return startSec === null || startSec > durationSec
+        ? [`response.cards[${index}].timestamp: must be a m:ss timestamp from the transcript`]
+        : [];
+    });
+  }
+
+  const { systemPrompt, userPrompt } = buildFlashcardsPrompt(title, videoUrl, promptOptions);
+  const result = await generateStructured(
+    getLLMProvider(),
+    { task: 'flashcards', schema: buildFlashcardsSchema(promptOptions.count), systemPrompt, userPrompt, maxOutputTokens: 2048 },
+    { validate }
+  );
+
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    data: result.data.cards.map((card) => {
+      const startSec = fromTakeaways ? null : parseTimestamp(card.timestamp);
+      return {
+        front: card.front.trim(),
+        back: card.back.trim(),
+        timestamp: startSec === null ? null : formatTimestamp(startSec),
+        startSec,
+        source: fromTakeaways ? 'takeaways' : 'transcript',
+      };
+    }),
+  };
+}
+
+/**
+ * Quote a field when it contains the separator, quotes or line breaks
+ */
+function escapeField(value, separator) {
+  const text = String(value ?? '');
+  return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn free text into an Anki tag (tags can't contain spaces)
+ */
+function toTag(text) {
+  return String(text).trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Export cards as an Anki-importable CSV or TSV file
+ * Columns are front, back, tags; the header lines tell Anki's importer the layout
+ * @param {object[]} cards - Stored flashcards
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} File contents
+ */
+export function exportDeck(cards, format = 'tsv') {
+  const { separator, directive } = EXPORT_FORMATS[format];
+
+  const rows = cards.map((card) => {
+    const tags = [
+      'edujoy',
+      card.moduleNumber ? `module-${card.moduleNumber}` : null,
+      card.moduleTitle ? toTag(card.moduleTitle) : null,
+      card.videoId ? `video-${card.videoId}` : null,
+    ].filter(Boolean);
+    const back = card.timestamp
+      ? `${card.back} (https://www.youtube.com/watch?v=${card.videoId}&t=${card.startSec}s at ${card.timestamp})`
+      : card.back;
+
+    return [card.front, back, tags.join(' ')].map((field) => escapeField(field, separator)).join(separator);
+  });
+
+  return [`#separator:${directive}`, '#html:false', '#tags column:3', ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,128 @@
+/**
+ * Generation Job Store with Prisma + Neon PostgreSQL
+ * One job per onboarding submission, tracking its learning plan from
+ * submission to n8n until the callback (or a failure, or expiry)
+ *
+ *   pending -> processing -> completed
+ *          \-> failed    \-> failed | expired
+ *
+ * Changes wake waitForGenerationJobChange() callers on the same instance at
+ * once; other instances only see them when they read the job again.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { prisma } from './prisma';
+
+// How long a job waits for its callback before the learner is told it timed out
+const GENERATION_JOB_TTL_SEC = parseInt(process.env.LEARNING_REQUEST_TTL_SEC || '600', 10);
+
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+export type GenerationJobStatus = 'pending' | 'processing' | 'completed' | 'failed' | 'expired';
+
+// Jobs still waiting for a callback
+const OPEN_STATUSES: GenerationJobStatus[] = ['pending', 'processing'];
+
+/**
+ * Create a job for a submission; its ID is the requestId sent to n8n
+ */
+export async function createGenerationJob(email: string, formData: Record<string, unknown>) {
+  const job = await prisma.generationJob.create({
+    data: {
+      id: crypto.randomUUID(),
+      email,
+      formData,
+      expiresAt: new Date(Date.now() + GENERATION_JOB_TTL_SEC * 1000),
+    },
+  });
+
+  console.log(`🆕 Generation job ${job.id} created for: ${email}`);
+  return job;
+}
+
+/**
+ * Get a job; open jobs past their expiry are marked expired first
+ */
+export async function getGenerationJob(id: string) {
+  const job = await prisma.generationJob.findUnique({ where: { id } });
+
+  if (job && OPEN_STATUSES.includes(job.status) && job.expiresAt < new Date()) {
+    const { count } = await prisma.generationJob.updateMany({
+      where: { id, status: { in: OPEN_STATUSES } },
+      data: { status: 'expired', finishedAt: new Date() },
+    });
+    if (count > 0) jobEvents.emit(id);
+    return { ...job, status: 'expired' };
+  }
+
+  return job;
+}
+
+/**
+ * Record that n8n accepted the job
+ */
+export async function markGenerationJobProcessing(id: string, response: unknown): Promise<void> {
+  const { count } = await prisma.generationJob.updateMany({
+    where: { id, status: 'pending' },
+    data: { status: 'processing', response: response ?? undefined, startedAt: new Date() },
+  });
+  if (count > 0) jobEvents.emit(id);
+}
+
+/**
+ * Record that the job can't complete
+ */
+export async function failGenerationJob(id: string, error: string, response?: unknown): Promise<void> {
+  const { count } = await prisma.generationJob.updateMany({
+    where: { id, status: { in: OPEN_STATUSES } },
+    data: { status: 'failed', error, response: response ?? undefined, finishedAt: new Date() },
+  });
+  if (count > 0) jobEvents.emit(id);
+
+  console.log(`❌ Generation job ${id} failed: ${error}`);
+}
+
+/**
+ * Store the learning plan of an open job
+ * @returns true if this call completed the job; false if it was no longer open
+ * (already completed, failed or expired), so concurrent callbacks complete it once
+ */
+export async function completeGenerationJob(id: string, result: Record<string, unknown>): Promise<boolean> {
+  const { count } = await prisma.generationJob.updateMany({
+    where: { id, status: { in: OPEN_STATUSES }, expiresAt: { gte: new Date() } },
+    data: { status: 'completed', result, finishedAt: new Date() },
+  });
+
+  if (count > 0) jobEvents.emit(id);
+  return count === 1;
+}
+
+/**
+ * Delete a job and its learning plan
+ */
+export async function deleteGenerationJob(id: string): Promise<void> {
+  await prisma.generationJob.deleteMany({ where: { id } });
+  jobEvents.emit(id);
+  console.log(`🗑️  Generation job deleted: ${id}`);
+}
+
+/**
+ * Wait until a job changes on this instance, timeoutMs passes or signal aborts
+ * Resolves either way: callers read the job again to see what happened
+ */
+export function waitForGenerationJobChange(id: string, timeoutMs: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve) => {
+    const finish = () => {
+      clearTimeout(timer);
+      jobEvents.off(id, finish);
+      signal?.removeEventListener('abort', finish);
+      resolve();
+    };
+    const timer = setTimeout(finish, timeoutMs);
+
+    jobEvents.on(id, finish);
+    signal?.addEventListener('abort', finish);
+  });
+}
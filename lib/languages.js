@@ -0,0 +1,59 @@
+/**
+ * Language codes for captions and AI output
+ * Codes are BCP 47 tags as used by YouTube caption tracks ('en', 'id', 'pt-BR', ...)
+ */
+
+const LANGUAGE_CODE_REGEX = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Output languages offered in the UI
+ */
+export const SUMMARY_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'id', name: 'Bahasa Indonesia' },
+];
+
+/**
+ * Check that a value looks like a language code
+ * @param {string} code - e.g. 'id' or 'pt-BR'
+ * @returns {boolean} True if valid
+ */
+export function isValidLanguageCode(code) {
+  if (typeof code !== 'string' || !LANGUAGE_CODE_REGEX.test(code)) return false;
+
+  try {
+    return Intl.getCanonicalLocales(code).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * English name of a language, for prompts
+ * @param {string} code - Language code
+ * @returns {string} e.g. 'Indonesian'; the code itself if the runtime doesn't know it
+ */
+export function getLanguageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Find the caption track for a requested language
+ * Exact matches win; otherwise 'id' matches 'id-ID' and 'pt-BR' matches 'pt'
+ * @param {object[]} tracks - Caption tracks with languageCode
+ * @param {string} lang - Requested language code
+ * @returns {object|undefined} Matching track
+ */
+export function findTrackForLanguage(tracks, lang) {
+  const wanted = lang.toLowerCase();
+  const base = wanted.split('-')[0];
+
+  return (
+    tracks.find((track) => track.languageCode?.toLowerCase() === wanted) ||
+    tracks.find((track) => track.languageCode?.toLowerCase().split('-')[0] === base)
+  );
+}
@@ -0,0 +1,214 @@
+/**
+ * Native learning plan generation, an alternative to the n8n workflow
+ * Produces the plan n8n would send to /api/learning-callback, so it is
+ * accepted the same way (see lib/learningPlans)
+ */
+import { getLLMProvider, generateStructured } from '@/lib/llm';
+
+// Labels of the onboarding form's select options
+const FIELD_LABELS = {
+  skillCategory: {
+    designer: 'Designer',
+    programmer: 'Programmer',
+    agriculture: 'Agriculture',
+    business: 'Business',
+    healthcare: 'Healthcare',
+    education: 'Education',
+    marketing: 'Marketing',
+    engineering: 'Engineering',
+    other: 'Other',
+  },
+  currentState: {
+    beginner: 'Beginner - just starting out',
+    intermediate: 'Intermediate - some experience',
+    advanced: 'Advanced - experienced professional',
+  },
+  learningStyle: {
+    slow: 'Slow & steady',
+    moderate: 'Moderate pace',
+    fast: 'Fast paced, quick learning bursts',
+  },
+  preferredContent: {
+    audioVisual: 'Audio visual - videos & podcasts',
+    reading: 'Reading - articles & books',
+    interactive: 'Interactive - hands-on projects',
+  },
+};
+
+const RESOURCE_TYPES = ['YouTube', 'Article', 'Course', 'Book', 'Podcast', 'Project'];
+
+const TEXT = { type: 'string', minLength: 1, maxLength: 300 };
+const LONG_TEXT = { type: 'string', minLength: 1, maxLength: 600 };
+
+const LEARNING_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['profile_summary', 'learning_path', 'action_plan', 'pro_tips', 'expected_timeline'],
+  properties: {
+    profile_summary: {
+      type: 'object',
+      required: ['goal', 'current_level', 'focus_area', 'session_duration', 'best_learning_time', 'learning_pace', 'content_preference'],
+      properties: {
+        goal: TEXT,
+        current_level: TEXT,
+        focus_area: TEXT,
+        session_duration: TEXT,
+        best_learning_time: TEXT,
+        learning_pace: TEXT,
+        content_preference: TEXT,
+      },
+    },
+    learning_path: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 6,
+      items: {
+        type: 'object',
+        required: ['title', 'duration', 'objective', 'resources'],
+        properties: {
+          title: TEXT,
+          duration: TEXT,
+          objective: LONG_TEXT,
+          resources: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 4,
+            items: {
+              type: 'object',
+              required: ['type', 'title', 'link', 'duration', 'description'],
+              properties: {
+                type: { type: 'string', enum: RESOURCE_TYPES },
+                title: TEXT,
+                link: { type: 'string', minLength: 8, maxLength: 500 },
+                duration: TEXT,
+                description: LONG_TEXT,
+              },
+            },
+          },
+        },
+      },
+    },
+    action_plan: {
+      type: 'object',
+      required: ['steps'],
+      properties: {
+        steps: {
+          type: 'array',
+          minItems: 3,
+          maxItems: 3,
+          items: {
+            type: 'object',
+            required: ['title', 'description'],
+            properties: { title: TEXT, description: LONG_TEXT },
+          },
+        },
+      },
+    },
+    pro_tips: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 6,
+      items: {
+        type: 'object',
+        required: ['title', 'description'],
+        properties: { title: TEXT, description: LONG_TEXT },
+      },
+    },
+    expected_timeline: {
+      type: 'object',
+      required: ['total_duration', 'milestones'],
+      properties: {
+        total_duration: TEXT,
+        milestones: {
+          type: 'array',
+          minItems: 2,
+          maxItems: 6,
+          items: {
+            type: 'object',
+            required: ['period', 'milestone'],
+            properties: { period: TEXT, milestone: LONG_TEXT },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Label of a select value, or the value itself for one the form doesn't offer
+ */
+function describeField(field, value) {
+  return FIELD_LABELS[field][value] || String(value || 'not specified');
+}
+
+/**
+ * Build system and user prompts from the onboarding fields
+ */
+function buildLearningPlanPrompt({ learningGoals, skillCategory, currentState, learningStyle, preferredContent }) {
+  return {
+    systemPrompt: `You are an expert learning coach designing a personal learning plan. Return a JSON object with these exact keys:
+- profile_summary: An object describing the learner with goal, current_level, focus_area, session_duration (e.g. "20 Minutes"), best_learning_time, learning_pace and content_preference
+- learning_path: An array of 3 to 6 modules in learning order, each an object with:
+  - title: Module title
+  - duration: How long the module takes at the learner's pace (e.g. "1 week")
+  - objective: What the learner can do after the module
+  - resources: An array of 2 to 4 resources, each with type (one of ${RESOURCE_TYPES.join(', ')}), title, link, duration (e.g. "15 min") and description (why this resource helps)
+- action_plan: An object with steps, an array of exactly 3 steps (title, description) in this order: how to start this week, a daily routine, how to track progress
+- pro_tips: An array of 3 to 6 tips, each with title and description
+- expected_timeline: An object with total_duration and milestones, an array of 2 to 6 objects with period (e.g. "Week 2") and milestone
+
+Favor resources matching the learner's preferred content type and size modules for their pace. Every link must be a full https URL; when you are not certain a specific page exists, use a search URL instead (https://www.youtube.com/results?search_query=... for videos, https://www.google.com/search?q=... otherwise). Respond with ONLY a valid JSON object, no additional text or markdown.`,
+    userPrompt: `Learning goals: ${learningGoals}
+Skill category: ${describeField('skillCategory', skillCategory)}
+Current skill level: ${describeField('currentState', currentState)}
+Learning pace: ${describeField('learningStyle', learningStyle)}
+Preferred content: ${describeField('preferredContent', preferredContent)}`,
+  };
+}
+
+/**
+ * Pro tips are rendered as HTML, so model text must not carry any
+ */
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Generate a learning plan from the onboarding fields
+ * @param {object} formData - { email, learningGoals, skillCategory, currentState, learningStyle, preferredContent }
+ * @returns {Promise<{ success: boolean, data?: object, validationErrors?: string[] }>}
+ *   data is { email, learningData } as n8n sends it; failures are generateStructured results
+ */
+export async function generateLearningPlan(formData) {
+  const { systemPrompt, userPrompt } = buildLearningPlanPrompt(formData);
+  const result = await generateStructured(
+    getLLMProvider(),
+    { task: 'learning-plan', schema: LEARNING_PLAN_SCHEMA, systemPrompt, userPrompt, maxOutputTokens: 8192 },
+    {
+      validate: (data) => data.learning_path.flatMap((module, moduleIndex) =>
+        module.resources.flatMap((resource, index) =>
+          /^https:\/\/[^\s]+$/.test(resource.link)
+            ? []
+            : [`response.learning_path[${moduleIndex}].resources[${index}].link: must be a full https URL`]
+        )
+      ),
+    }
+  );
+
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    data: {
+      email: formData.email,
+      learningData: {
+        ...result.data,
+        pro_tips: result.data.pro_tips.map((tip) => ({
+          title: escapeHTML(tip.title.trim()),
+          description: escapeHTML(tip.description.trim()),
+        })),
+      },
+    },
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Accepting generated learning plans
+ * The one path from a plan in n8n's callback format (see lib/learningPlanGenerator
+ * for its shape) to the app's format, the completed GenerationJob and the
+ * learner's stored plan, whichever generator produced it
+ */
+
+import { storeDataWithFallback } from './learningDataStore';
+import { completeGenerationJob, failGenerationJob } from './generationJobStore';
+import { LearningCallbackError, assertJobAcceptsCallback } from './learningRequests';
+
+/**
+ * Transform n8n response format to app format
+ */
+export function transformLearningPlan(n8nData: any) {
+  console.log('🔄 Transforming n8n data:', JSON.stringify(n8nData, null, 2).substring(0, 1000));
+
+  const data = Array.isArray(n8nData) ? n8nData[0] : n8nData;
+  console.log('📊 Data after array check:', JSON.stringify(data, null, 2).substring(0, 500));
+  console.log('📧 data.email:', data.email);
+
+  if (!data || !data.learningData) {
+    console.error('❌ Missing learningData in n8n response');
+    throw new Error('Invalid data structure from n8n');
+  }
+
+  const learningData = data.learningData;
+  console.log('📊 Learning data keys:', Object.keys(learningData));
+
+  // Transform learning_path to match app format
+  const learning_path = (learningData.learning_path || []).map((module: any, index: number) => ({
+    module_number: index + 1,
+    module_title: module.title || '',
+    duration: module.duration || '',
+    objective: module.objective || '',
+    resources: (module.resources || []).map((resource: any) => ({
+      type: resource.type || '',
+      name: resource.title || resource.name || '',
+      link: resource.link || '#',
+      duration_estimate: resource.duration || resource.duration_estimate || '',
+      rationale: resource.description || ''
+    }))
+  }));
+
+  // Transform action_plan
+  const action_plan = {
+    quick_start: learningData.action_plan?.steps?.[0]?.description || 'Begin with Module 1 this week.',
+    daily_routine: learningData.action_plan?.steps?.[1]?.description || 'Dedicate time each day to learning.',
+    progress_tracking: learningData.action_plan?.steps?.[2]?.description || 'Keep track of your progress.'
+  };
+
+  // Transform pro_tips
+  const pro_tips = (learningData.pro_tips || []).map((tip: any) => {
+    if (typeof tip === 'string') {
+      return tip;
+    }
+    return `<strong>${tip.title}:</strong> ${tip.description}`;
+  });
+
+  const transformed = {
+    email: data.email,
+    profile_summary: learningData.profile_summary,
+    learning_path,
+    action_plan,
+    pro_tips,
+    expected_timeline: learningData.expected_timeline
+  };
+
+  console.log('✅ Transformed data keys:', Object.keys(transformed));
+  console.log('📊 Transformed learning path length:', transformed.learning_path.length);
+
+  return transformed;
+}
+
+/**
+ * Validate a generated plan and complete its job with it
+ * @param job - Open GenerationJob the plan answers
+ * @param plan - Plan in n8n's callback format: { email, learningData } or an array holding it
+ * @param source - Who produced the plan, for the job's failure message ('n8n', 'The native generator')
+ * @returns The plan in app format, also stored as the learner's latest plan
+ * @throws {LearningCallbackError} 400 for an invalid plan (failing the job unless only the email
+ *   is wrong), 409 when the job can't take it (see assertJobAcceptsCallback)
+ */
+export async function acceptLearningPlan(
+  job: { id: string; email: string; status: string },
+  plan: unknown,
+  source: string
+) {
+  let learningData;
+  try {
+    learningData = transformLearningPlan(plan);
+  } catch (error) {
+    console.error('❌ Invalid learning data structure');
+    await failGenerationJob(job.id, `${source} sent an invalid learning plan`);
+    throw new LearningCallbackError(error instanceof Error ? error.message : 'Invalid learning data structure', 400);
+  }
+
+  console.log('Transformed learningData.email:', learningData.email);
+
+  // Validate that we have required fields
+  if (!learningData || !learningData.learning_path || learningData.learning_path.length === 0) {
+    console.error('❌ Invalid learning data structure');
+    console.error('Received data:', JSON.stringify(learningData, null, 2));
+    await failGenerationJob(job.id, `${source} sent a learning plan without modules`);
+    throw new LearningCallbackError('Invalid learning data structure - no learning_path found', 400);
+  }
+
+  // Validate email
+  if (!learningData.email || typeof learningData.email !== 'string' || !learningData.email.includes('@')) {
+    console.error('❌ Invalid or missing email:', learningData.email);
+    throw new LearningCallbackError('Invalid or missing email address', 400);
+  }
+
+  assertJobAcceptsCallback(job, learningData.email);
+
+  // Another callback may have completed it since it was read
+  if (!(await completeGenerationJob(job.id, learningData))) {
+    throw new LearningCallbackError('Request is no longer open', 409);
+  }
+
+  // Also keep it as the learner's latest plan
+  const dataId = job.email;
+  await storeDataWithFallback(dataId, learningData);
+
+  console.log(`✅ Learning data stored for: ${dataId}`);
+  console.log(`📊 Modules received: ${learningData.learning_path.length}`);
+
+  return learningData;
+}
@@ -0,0 +1,174 @@
+/**
+ * Signed n8n callbacks for learning plan requests
+ *
+ * Every onboarding submission is a GenerationJob (lib/generationJobStore)
+ * whose ID is the requestId sent to n8n; POST /api/learning-callback only
+ * accepts a plan for an open job, once, and for that job's email.
+ *
+ * n8n signs each callback with the shared N8N_CALLBACK_SECRET:
+ *   X-Callback-Timestamp  unix seconds when the callback was signed
+ *   X-Callback-Nonce      random value, new for every callback
+ *   X-Callback-Signature  sha256=<hex HMAC-SHA256 of `${timestamp}.${nonce}.${rawBody}`>
+ * Callbacks signed more than N8N_CALLBACK_TOLERANCE_SEC ago (or ahead), or
+ * reusing a nonce seen within that window, are rejected. Without a secret no
+ * callback is accepted.
+ *
+ * Nonces are kept out of lib/cache, whose memory driver evicts entries under
+ * pressure: with CACHE_DRIVER=redis they are shared by every instance in Redis,
+ * otherwise they stay in a per-process Map until they expire. Every store implements:
+ *   remember(nonce, ttlSec) -> Promise<boolean> false when the nonce is already known
+ */
+import crypto from 'crypto';
+import { getRedisClient, REDIS_KEY_PREFIX } from '@/lib/redis';
+
+const N8N_CALLBACK_SECRET = process.env.N8N_CALLBACK_SECRET || '';
+const N8N_CALLBACK_TOLERANCE_SEC = parseInt(process.env.N8N_CALLBACK_TOLERANCE_SEC || '300', 10);
+const NONCE_SWEEP_INTERVAL_SEC = 60;
+
+/**
+ * A callback (or generated plan) that must not be stored
+ * status: 400 (invalid plan, see lib/learningPlans), 401 (unsigned, badly signed or expired), 409 (replayed, or no open job),
+ *   503 (no secret configured, or nonces can't be checked)
+ */
+export class LearningCallbackError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'LearningCallbackError';
+    this.status = status;
+  }
+}
+
+/**
+ * Per-process nonces: expiry times in a Map, swept once they pass
+ * Only callbacks signed with the secret add entries, so it can't be flooded
+ */
+function createMemoryNonceStore() {
+  const expiries = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of expiries) {
+      if (expiresAt <= now) expiries.delete(nonce);
+    }
+  }, NONCE_SWEEP_INTERVAL_SEC * 1000).unref?.();
+
+  return {
+    async remember(nonce, ttlSec) {
+      const now = Date.now();
+      if ((expiries.get(nonce) ?? 0) > now) return false;
+
+      expiries.set(nonce, now + ttlSec * 1000);
+      return true;
+    },
+  };
+}
+
+/**
+ * Redis nonces: one key per nonce, set only if it doesn't exist yet
+ */
+function createRedisNonceStore() {
+  return {
+    async remember(nonce, ttlSec) {
+      const client = await getRedisClient();
+      const stored = await client.set(`${REDIS_KEY_PREFIX}learning-nonce:${nonce}`, '1', { NX: true, EX: ttlSec });
+      return stored === 'OK';
+    },
+  };
+}
+
+let nonceStore = null;
+
+/**
+ * Get the nonce store matching CACHE_DRIVER
+ */
+function getNonceStore() {
+  if (!nonceStore) {
+    const redis = (process.env.CACHE_DRIVER || 'memory').toLowerCase() === 'redis';
+    nonceStore = redis ? createRedisNonceStore() : createMemoryNonceStore();
+  }
+  return nonceStore;
+}
+
+/**
+ * Signature n8n must send for a callback body
+ * @returns {string} 'sha256=<hex>'
+ */
+export function signLearningCallback(timestamp, nonce, rawBody, secret = N8N_CALLBACK_SECRET) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${rawBody}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a callback's signature, age and nonce before its body is trusted
+ * The nonce is remembered once the signature checks out
+ * @param {Headers} headers - Request headers
+ * @param {string} rawBody - Body exactly as received
+ * @throws {LearningCallbackError}
+ */
+export async function verifyLearningCallback(headers, rawBody) {
+  if (!N8N_CALLBACK_SECRET) {
+    throw new LearningCallbackError('Callback signing is not configured (N8N_CALLBACK_SECRET)', 503);
+  }
+
+  const timestamp = headers.get('x-callback-timestamp') || '';
+  const nonce = headers.get('x-callback-nonce') || '';
+  const signature = headers.get('x-callback-signature') || '';
+
+  if (!/^\d+$/.test(timestamp) || !/^[\w-]{16,128}$/.test(nonce) || !signature) {
+    throw new LearningCallbackError('Missing or malformed callback signature headers', 401);
+  }
+
+  const expected = Buffer.from(signLearningCallback(timestamp, nonce, rawBody));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new LearningCallbackError('Invalid callback signature', 401);
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > N8N_CALLBACK_TOLERANCE_SEC) {
+    throw new LearningCallbackError('Callback timestamp is outside the allowed window', 401);
+  }
+
+  // Nonces only need remembering while their timestamp is still accepted
+  let isNew;
+  try {
+    isNew = await getNonceStore().remember(nonce, N8N_CALLBACK_TOLERANCE_SEC * 2);
+  } catch (error) {
+    // Accepting it unchecked would let replays through; n8n retries a 503
+    console.error('❌ Callback nonce store error:', error.message);
+    throw new LearningCallbackError('Callback nonces cannot be checked right now', 503);
+  }
+
+  if (!isNew) {
+    throw new LearningCallbackError('Callback was already received (nonce reused)', 409);
+  }
+}
+
+/**
+ * Check that a callback answers an open job, for the same learner
+ * @param {object|null} job - From getGenerationJob
+ * @param {string} email - Email of the learning plan in the callback
+ * @throws {LearningCallbackError} 409 when there's no such job, it's no longer open or it belongs to another email
+ */
+export function assertJobAcceptsCallback(job, email) {
+  if (!job) {
+    throw new LearningCallbackError('Unknown requestId', 409);
+  }
+  if (job.status !== 'pending' && job.status !== 'processing') {
+    throw new LearningCallbackError(`Request is already ${job.status}`, 409);
+  }
+  if (job.email.toLowerCase() !== String(email).toLowerCase()) {
+    throw new LearningCallbackError('Learning plan email does not match the request', 409);
+  }
+}
+
+/**
+ * What to tell the learner about a job that ended without a plan
+ * @param {object} job - Failed or expired GenerationJob
+ * @returns {string} Error message
+ */
+export function describeJobFailure(job) {
+  if (job.status === 'expired') {
+    return 'No learning plan arrived in time';
+  }
+  return job.error || 'Learning plan generation failed';
+}
@@ -0,0 +1,192 @@
+/**
+ * n8n webhook destinations for learning plan requests
+ *
+ * N8N_WEBHOOKS is a JSON array of destinations:
+ *   name            label for logs (default: webhook-<n>)
+ *   url             webhook URL (required)
+ *   role            primary | secondary (default); exactly one primary
+ *   authHeader      optional header name sent with authValue, e.g. Authorization
+ *   authValue       e.g. 'Bearer <token>'
+ *   timeoutMs       per attempt (default 15000)
+ *   retries         extra attempts after a network error, timeout, 429 or 5xx (default 1)
+ *   retryBackoffMs  wait before the first retry, doubled for each next one (default 1000)
+ *
+ * The primary's answer decides whether the request was accepted; secondaries
+ * get the same payload in the background and can't fail the request. Every
+ * delivery is logged with its destination, status, attempts and duration.
+ */
+
+const ROLES = ['primary', 'secondary'];
+
+/**
+ * @typedef {object} WebhookDelivery
+ * @property {string} name - Destination name
+ * @property {string} role - primary | secondary
+ * @property {boolean} ok - Whether the destination accepted the payload
+ * @property {number} attempts - Requests made, retries included
+ * @property {number} [status] - HTTP status of the last attempt, if it got an answer
+ * @property {any} [body] - Parsed JSON or text of that answer
+ * @property {string} [error] - Why the delivery failed
+ */
+
+let destinations = null;
+
+/**
+ * Parse and check N8N_WEBHOOKS
+ * @returns {object[]} Destinations with defaults filled in
+ * @throws {Error} Listing every configuration problem
+ */
+function parseWebhookConfig(raw) {
+  if (!raw) {
+    throw new Error('N8N_WEBHOOKS is not set');
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`N8N_WEBHOOKS is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error('N8N_WEBHOOKS must be a JSON array of webhook destinations');
+  }
+
+  const errors = [];
+  const parsed = entries.map((entry, index) => {
+    const name = entry?.name || `webhook-${index + 1}`;
+    const role = entry?.role || 'secondary';
+
+    if (typeof entry?.url !== 'string' || !/^https?:\/\//.test(entry.url)) {
+      errors.push(`${name}: url must be an http(s) URL`);
+    }
+    if (!ROLES.includes(role)) {
+      errors.push(`${name}: role must be one of ${ROLES.join(', ')}`);
+    }
+    if (entry?.authHeader && typeof entry.authValue !== 'string') {
+      errors.push(`${name}: authHeader needs an authValue`);
+    }
+
+    return {
+      name,
+      url: entry?.url,
+      role,
+      headers: entry?.authHeader ? { [entry.authHeader]: entry.authValue } : {},
+      timeoutMs: Number(entry?.timeoutMs) > 0 ? Number(entry.timeoutMs) : 15000,
+      retries: Number.isInteger(entry?.retries) && entry.retries >= 0 ? entry.retries : 1,
+      retryBackoffMs: Number(entry?.retryBackoffMs) >= 0 ? Number(entry.retryBackoffMs) : 1000,
+    };
+  });
+
+  const primaries = parsed.filter((destination) => destination.role === 'primary').length;
+  if (primaries !== 1) {
+    errors.push(`exactly one destination must have role "primary" (found ${primaries})`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid N8N_WEBHOOKS: ${errors.join('; ')}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Get the configured webhook destinations
+ * @returns {object[]} Destinations, the primary first
+ */
+export function getLearningWebhooks() {
+  if (destinations) return destinations;
+
+  const parsed = parseWebhookConfig(process.env.N8N_WEBHOOKS);
+  destinations = [...parsed].sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role));
+  return destinations;
+}
+
+/**
+ * Whether a failed attempt is worth repeating
+ */
+function isRetryable(result) {
+  return result.status === undefined || result.status === 429 || result.status >= 500;
+}
+
+/**
+ * POST once to a destination
+ * @returns {Promise<{ ok: boolean, status?: number, body?: any, error?: string }>}
+ */
+async function postOnce(destination, payload) {
+  try {
+    const response = await fetch(destination.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...destination.headers,
+      },
+      body: payload,
+      signal: AbortSignal.timeout(destination.timeoutMs),
+    });
+
+    // n8n answers with JSON or plain text depending on the workflow's Respond node
+    const text = await response.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = text;
+    }
+
+    return response.ok
+      ? { ok: true, status: response.status, body }
+      : { ok: false, status: response.status, body, error: `webhook answered ${response.status}` };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    return { ok: false, error: timedOut ? `timed out after ${destination.timeoutMs}ms` : error.message };
+  }
+}
+
+/**
+ * Deliver a payload to one destination, retrying per its policy, and log the outcome
+ * @returns {Promise<WebhookDelivery>}
+ */
+async function deliver(destination, payload, requestId) {
+  const started = Date.now();
+  let result;
+  let attempts = 0;
+
+  do {
+    if (attempts > 0) {
+      await new Promise((resolve) => setTimeout(resolve, destination.retryBackoffMs * 2 ** (attempts - 1)));
+    }
+    attempts++;
+    result = await postOnce(destination, payload);
+  } while (!result.ok && isRetryable(result) && attempts <= destination.retries);
+
+  const summary = `${destination.name} (${destination.role}) for ${requestId}: ${result.ok ? `delivered, ${result.status}` : `failed, ${result.error}`} after ${attempts} attempt(s) in ${Date.now() - started}ms`;
+  if (result.ok) {
+    console.log(`[Webhook] ${summary}`);
+  } else {
+    console.error(`[Webhook] ${summary}`);
+  }
+
+  return { name: destination.name, role: destination.role, attempts, ...result };
+}
+
+/**
+ * Send a learning plan request to every configured destination
+ * Waits for the primary only; secondaries finish in the background
+ * @param {object} data - Onboarding fields plus requestId
+ * @param {(delivery: Promise<WebhookDelivery>) => void} [background] - Takes each secondary's
+ *   pending delivery, e.g. next/server's after() so the function outlives the response
+ * @returns {Promise<WebhookDelivery>} The primary's delivery
+ * @throws {Error} When N8N_WEBHOOKS is missing or invalid
+ */
+export async function sendToLearningWebhooks(data, background = () => {}) {
+  const [primary, ...secondaries] = getLearningWebhooks();
+  const payload = JSON.stringify(data);
+
+  // Never rejects: deliver() turns every failure into a logged result
+  for (const destination of secondaries) {
+    background(deliver(destination, payload, data.requestId));
+  }
+
+  return deliver(primary, payload, data.requestId);
+}
@@ -0,0 +1,104 @@
+/**
+ * Google Gemini provider (REST generateContent / streamGenerateContent)
+ */
+import { readSSEStream } from '@/lib/sse';
+import { LLMProviderError, postJSON, postStream } from './http';
+import { toGeminiSchema } from './schema';
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Build the Gemini request payload
+ * With a schema, Gemini's native JSON mode constrains the output
+ */
+function buildPayload({ systemPrompt, userPrompt, schema, maxOutputTokens = 1024 }) {
+  const payload = {
+    system_instruction: {
+      parts: [{ text: systemPrompt }],
+    },
+    contents: [
+      {
+        parts: [{ text: userPrompt }],
+      },
+    ],
+    generationConfig: {
+      temperature: 0.2,
+      maxOutputTokens,
+      topP: 0.95,
+      topK: 40,
+    },
+  };
+
+  if (schema) {
+    payload.generationConfig.responseMimeType = 'application/json';
+    payload.generationConfig.responseSchema = toGeminiSchema(schema);
+  }
+
+  return payload;
+}
+
+/**
+ * Get the text of the first candidate in a Gemini response (or stream chunk)
+ */
+function getCandidateText(data) {
+  const parts = data?.candidates?.[0]?.content?.parts || [];
+  return parts.map((part) => part.text || '').join('');
+}
+
+/**
+ * Token counts from a Gemini response's usageMetadata
+ * @returns {{ promptTokens: number, outputTokens: number } | null} null when the response has none
+ */
+function getUsage(data) {
+  const usage = data?.usageMetadata;
+  if (!usage) return null;
+
+  return {
+    promptTokens: usage.promptTokenCount || 0,
+    outputTokens: usage.candidatesTokenCount || 0,
+  };
+}
+
+/**
+ * Create the Gemini provider
+ * @returns {object} LLM provider
+ */
+export function createGeminiProvider() {
+  return {
+    name: 'gemini',
+    model: GEMINI_MODEL,
+
+    validateConfig() {
+      return GEMINI_API_KEY ? [] : ['GEMINI_API_KEY is not set in environment variables'];
+    },
+
+    async generate(request) {
+      const url = `${GEMINI_BASE_URL}/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
+      const data = await postJSON('Gemini', url, buildPayload(request));
+
+      if (!data.candidates || data.candidates.length === 0) {
+        throw new LLMProviderError('No candidates in Gemini response', { code: 'bad_response', provider: 'Gemini' });
+      }
+
+      return { text: getCandidateText(data), usage: getUsage(data) };
+    },
+
+    async stream(request, onText) {
+      const url = `${GEMINI_BASE_URL}/${GEMINI_MODEL}:streamGenerateContent?alt=sse&key=${GEMINI_API_KEY}`;
+      const body = await postStream('Gemini', url, buildPayload(request));
+      let usage = null;
+
+      await readSSEStream(body, ({ data }) => {
+        const chunk = JSON.parse(data);
+        const text = getCandidateText(chunk);
+        if (text) onText(text);
+        // Every chunk carries the running totals; the last one has the final counts
+        usage = getUsage(chunk) || usage;
+      });
+
+      return { usage };
+    },
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Shared HTTP plumbing for LLM providers
+ * Normalizes provider failures into LLMProviderError so API routes
+ * can map them to status codes without knowing which provider is active
+ */
+
+/**
+ * Provider-neutral error
+ * code: 'rate_limited' | 'auth' | 'quota' | 'bad_response' | 'provider_error'
+ */
+export class LLMProviderError extends Error {
+  constructor(message, { code = 'provider_error', status, provider } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.code = code;
+    this.status = status;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Map a failed HTTP response to an LLMProviderError
+ * @param {string} provider - Provider name for messages
+ * @param {number} status - HTTP status
+ * @param {object|null} errorData - Parsed error body, if any
+ */
+function errorFromResponse(provider, status, errorData) {
+  const detail = errorData?.error?.message || errorData?.message || 'Unknown error';
+
+  // Handle rate limiting
+  if (status === 429) {
+    return new LLMProviderError(`Rate limited by ${provider} API`, { code: 'rate_limited', status, provider });
+  }
+
+  // Handle authentication errors
+  if (status === 401) {
+    return new LLMProviderError(`Invalid ${provider} API key`, { code: 'auth', status, provider });
+  }
+
+  // Handle quota exceeded
+  if (status === 403) {
+    return new LLMProviderError(`${provider} API quota exceeded`, { code: 'quota', status, provider });
+  }
+
+  return new LLMProviderError(`${provider} API error (${status}): ${detail}`, { status, provider });
+}
+
+/**
+ * Send a POST request and return the response, throwing LLMProviderError on failure
+ */
+async function post(provider, url, payload, headers) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => null);
+    throw errorFromResponse(provider, response.status, errorData);
+  }
+
+  return response;
+}
+
+/**
+ * POST JSON with exponential backoff retries
+ * Authentication and quota errors are not retried
+ * @param {string} provider - Provider name for messages
+ * @param {string} url - Endpoint URL
+ * @param {object} payload - Request body
+ * @param {object} options - { headers, retries }
+ * @returns {Promise<object>} Parsed JSON response
+ */
+export async function postJSON(provider, url, payload, { headers = {}, retries = 2 } = {}) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const response = await post(provider, url, payload, headers);
+      return await response.json();
+    } catch (error) {
+      lastError = error;
+
+      if (error.code === 'auth' || error.code === 'quota') {
+        throw error;
+      }
+
+      if (attempt < retries) {
+        const delay = Math.pow(2, attempt) * 1000;
+        console.warn(`[LLM] ${provider} attempt ${attempt + 1} failed, retrying in ${delay}ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw lastError || new LLMProviderError(`Failed to call ${provider} API`, { provider });
+}
+
+/**
+ * POST JSON and return the streaming response body
+ * Not retried: partial output may already have been consumed
+ * @returns {Promise<ReadableStream>} Response body
+ */
+export async function postStream(provider, url, payload, { headers = {} } = {}) {
+  const response = await post(provider, url, payload, headers);
+  return response.body;
+}
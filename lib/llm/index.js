@@ -0,0 +1,52 @@
+/**
+ * LLM provider selection
+ *
+ * Every provider implements:
+ *   name, model
+ *   validateConfig() -> string[]  configuration errors, empty when usable
+ *   generate({ task, systemPrompt, userPrompt, schema, maxOutputTokens }) -> Promise<{ text, usage }>
+ *   stream({ task, systemPrompt, userPrompt, maxOutputTokens }, onText) -> Promise<{ usage }>
+ *
+ * usage is { promptTokens, outputTokens } as reported by the provider, or null
+ * when it reports none. getLLMProvider() records it for every call (see ./usage).
+ *
+ * `task` names what the prompt asks for ('summary', 'chapters', ...). Real
+ * providers ignore it; the mock provider uses it to pick its canned output.
+ * `schema` (see ./schema) asks for JSON output where the provider supports it;
+ * use generateStructured() to also validate and repair the result.
+ *
+ * Set LLM_PROVIDER to gemini (default), openai or mock.
+ */
+import { createGeminiProvider } from './gemini';
+import { createOpenAICompatibleProvider } from './openaiCompatible';
+import { createMockProvider } from './mock';
+import { trackUsage } from './usage';
+
+export { LLMProviderError } from './http';
+export { generateStructured, extractJSON } from './structured';
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+let provider = null;
+
+/**
+ * Get the configured LLM provider
+ * @returns {object} LLM provider
+ */
+export function getLLMProvider() {
+  if (provider) return provider;
+
+  const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const createProvider = PROVIDERS[name];
+
+  if (!createProvider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  provider = trackUsage(createProvider());
+  return provider;
+}
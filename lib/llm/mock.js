@@ -0,0 +1,256 @@
+/**
+ * Deterministic mock provider for tests, CI and offline development
+ * Returns canned output for each request task without any network calls
+ */
+
+/**
+ * Pull the video title out of a user prompt
+ */
+function getTitle(userPrompt) {
+  const match = userPrompt.match(/Video Title: "([^"]*)"/);
+  return match ? match[1] : 'this video';
+}
+
+/**
+ * Canned summary shaped like the real model output
+ */
+function mockSummary(userPrompt) {
+  const title = getTitle(userPrompt);
+
+  return {
+    summary: `This is a mock summary of "${title}". It is generated locally without calling a language model. Use it to exercise the summarize flow offline.`,
+    takeaways: [1, 2, 3, 4, 5].map((n) => `Mock takeaway ${n} for "${title}"`),
+    actions: [1, 2].map((n) => `Mock action ${n} for "${title}"`),
+  };
+}
+
+/**
+ * Canned chapters using up to four of the [m:ss] markers in the prompt
+ */
+function mockChapters(userPrompt) {
+  const stamps = [...userPrompt.matchAll(/^\[(\d+:\d{2})\]/gm)].map((match) => match[1]);
+  const step = Math.max(1, Math.ceil(stamps.length / 4));
+
+  return {
+    chapters: stamps
+      .filter((_, index) => index % step === 0)
+      .map((start, index) => ({
+        start,
+        title: `Mock chapter ${index + 1}`,
+        gist: `Mock description of chapter ${index + 1}.`,
+      })),
+  };
+}
+
+/**
+ * Canned quiz with the requested number of questions, alternating types,
+ * each pointing at one of the [m:ss] markers in the prompt
+ */
+function mockQuiz(userPrompt) {
+  const count = parseInt(userPrompt.match(/Write exactly (\d+) questions/)?.[1] || '5', 10);
+  const stamps = [...userPrompt.matchAll(/^\[(\d+:\d{2})\]/gm)].map((match) => match[1]);
+
+  return {
+    questions: Array.from({ length: count }, (_, index) => {
+      const timestamp = stamps[Math.floor((index * stamps.length) / count)] || '0:00';
+
+      if (index % 3 === 2) {
+        return {
+          type: 'short_answer',
+          question: `Mock short-answer question ${index + 1}?`,
+          options: [],
+          answer: `mock answer ${index + 1}`,
+          explanation: `Mock explanation for question ${index + 1}.`,
+          timestamp,
+        };
+      }
+
+      return {
+        type: 'multiple_choice',
+        question: `Mock multiple-choice question ${index + 1}?`,
+        options: ['A', 'B', 'C', 'D'].map((letter) => `Mock option ${letter}`),
+        answer: 'Mock option A',
+        explanation: `Mock explanation for question ${index + 1}.`,
+        timestamp,
+      };
+    }),
+  };
+}
+
+/**
+ * Canned chat answer citing the first transcript line that shares a word with the question
+ */
+function mockChat(userPrompt) {
+  const question = userPrompt.match(/^Learner question: (.*)$/m)?.[1] || '';
+  const words = question.toLowerCase().match(/[a-z0-9]{4,}/g) || [];
+  const line = [...userPrompt.matchAll(/^\[(\d+:\d{2})\] (.*)$/gm)]
+    .find((match) => words.some((word) => match[2].toLowerCase().includes(word)));
+
+  if (!line) {
+    return { answer: 'The transcript does not cover this.', citations: [], inTranscript: false };
+  }
+
+  return {
+    answer: `Mock answer based on the transcript [${line[1]}].`,
+    citations: [line[1]],
+    inTranscript: true,
+  };
+}
+
+/**
+ * Canned flashcards: one per numbered takeaway, or the requested number from transcript markers
+ */
+function mockFlashcards(userPrompt) {
+  const takeaways = [...userPrompt.matchAll(/^\d+\. (.*)$/gm)].map((match) => match[1]);
+
+  if (takeaways.length > 0) {
+    return {
+      cards: takeaways.map((takeaway, index) => ({
+        front: `Mock question about takeaway ${index + 1}?`,
+        back: takeaway,
+      })),
+    };
+  }
+
+  const count = parseInt(userPrompt.match(/Write exactly (\d+) flashcards/)?.[1] || '5', 10);
+  const stamps = [...userPrompt.matchAll(/^\[(\d+:\d{2})\]/gm)].map((match) => match[1]);
+
+  return {
+    cards: Array.from({ length: count }, (_, index) => ({
+      front: `Mock question ${index + 1}?`,
+      back: `Mock answer ${index + 1}.`,
+      timestamp: stamps[Math.floor((index * stamps.length) / count)] || '0:00',
+    })),
+  };
+}
+
+/**
+ * Canned learning plan for the goals in the prompt
+ */
+function mockLearningPlan(userPrompt) {
+  const goal = userPrompt.match(/^Learning goals: (.*)$/m)?.[1] || 'your goal';
+  const search = encodeURIComponent(goal);
+
+  return {
+    profile_summary: {
+      goal,
+      current_level: 'Intermediate',
+      focus_area: goal,
+      session_duration: '20 Minutes',
+      best_learning_time: 'Morning',
+      learning_pace: 'Moderate',
+      content_preference: 'Audio Visual',
+    },
+    learning_path: [1, 2, 3].map((n) => ({
+      title: `Mock module ${n}`,
+      duration: '1 week',
+      objective: `Mock objective for module ${n} of "${goal}".`,
+      resources: [
+        {
+          type: 'YouTube',
+          title: `Mock video ${n}`,
+          link: `https://www.youtube.com/results?search_query=${search}`,
+          duration: '15 min',
+          description: `Mock video resource for module ${n}.`,
+        },
+        {
+          type: 'Article',
+          title: `Mock article ${n}`,
+          link: `https://www.google.com/search?q=${search}`,
+          duration: '10 min',
+          description: `Mock reading resource for module ${n}.`,
+        },
+      ],
+    })),
+    action_plan: {
+      steps: ['Quick start', 'Daily routine', 'Progress tracking'].map((title) => ({
+        title,
+        description: `Mock ${title.toLowerCase()} step.`,
+      })),
+    },
+    pro_tips: [1, 2, 3].map((n) => ({ title: `Mock tip ${n}`, description: `Mock advice ${n}.` })),
+    expected_timeline: {
+      total_duration: '3 weeks',
+      milestones: [1, 3].map((n) => ({ period: `Week ${n}`, milestone: `Mock milestone for week ${n}.` })),
+    },
+  };
+}
+
+/**
+ * Build the mock response text for a request
+ * @param {object} request - { task, userPrompt }
+ * @param {boolean} lines - Use the streaming line format instead of JSON
+ */
+function buildResponse({ task, userPrompt }, lines = false) {
+  if (task === 'chapters') {
+    return JSON.stringify(mockChapters(userPrompt));
+  }
+
+  if (task === 'quiz') {
+    return JSON.stringify(mockQuiz(userPrompt));
+  }
+
+  if (task === 'chat') {
+    return JSON.stringify(mockChat(userPrompt));
+  }
+
+  if (task === 'flashcards') {
+    return JSON.stringify(mockFlashcards(userPrompt));
+  }
+
+  if (task === 'learning-plan') {
+    return JSON.stringify(mockLearningPlan(userPrompt));
+  }
+
+  const summary = mockSummary(userPrompt);
+
+  if (lines) {
+    return [
+      `SUMMARY: ${summary.summary}`,
+      ...summary.takeaways.map((takeaway) => `TAKEAWAY: ${takeaway}`),
+      ...summary.actions.map((action) => `ACTION: ${action}`),
+    ].join('\n');
+  }
+
+  return JSON.stringify(summary);
+}
+
+/**
+ * Rough token counts (about 4 characters per token), so usage accounting and budgets work offline
+ */
+function estimateUsage({ systemPrompt, userPrompt }, text) {
+  return {
+    promptTokens: Math.ceil((systemPrompt.length + userPrompt.length) / 4),
+    outputTokens: Math.ceil(text.length / 4),
+  };
+}
+
+/**
+ * Create the mock provider
+ * @returns {object} LLM provider
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    validateConfig() {
+      return [];
+    },
+
+    async generate(request) {
+      const text = buildResponse(request);
+      return { text, usage: estimateUsage(request, text) };
+    },
+
+    async stream(request, onText) {
+      // Emit word by word so clients see incremental updates
+      const text = buildResponse(request, true);
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        onText(piece);
+      }
+
+      return { usage: estimateUsage(request, text) };
+    },
+  };
+}
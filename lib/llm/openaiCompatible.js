@@ -0,0 +1,101 @@
+/**
+ * OpenAI-compatible chat completions provider
+ * Works with OpenAI and local servers exposing /v1/chat/completions
+ * (Ollama: http://localhost:11434/v1, llama.cpp server: http://localhost:8080/v1)
+ */
+import { readSSEStream } from '@/lib/sse';
+import { LLMProviderError, postJSON, postStream } from './http';
+
+const LLM_BASE_URL = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const LLM_MODEL = process.env.LLM_MODEL || 'llama3.1';
+const LLM_API_KEY = process.env.LLM_API_KEY;
+
+/**
+ * Build the chat completions request payload
+ */
+function buildPayload({ systemPrompt, userPrompt, schema, maxOutputTokens = 1024 }, stream = false) {
+  const payload = {
+    model: LLM_MODEL,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.2,
+    max_tokens: maxOutputTokens,
+    stream,
+  };
+
+  // Ask for token counts in the final stream chunk (non-streamed responses always include them)
+  if (stream) {
+    payload.stream_options = { include_usage: true };
+  }
+
+  // JSON mode is widely supported (OpenAI, Ollama, llama.cpp); the schema itself is validated locally
+  if (schema) {
+    payload.response_format = { type: 'json_object' };
+  }
+
+  return payload;
+}
+
+/**
+ * Token counts from a chat completion's usage field
+ * @returns {{ promptTokens: number, outputTokens: number } | null} null when the server doesn't report usage
+ */
+function getUsage(data) {
+  const usage = data?.usage;
+  if (!usage) return null;
+
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0,
+  };
+}
+
+/**
+ * Create the OpenAI-compatible provider
+ * @returns {object} LLM provider
+ */
+export function createOpenAICompatibleProvider() {
+  const url = `${LLM_BASE_URL}/chat/completions`;
+  // Local servers usually don't need a key
+  const headers = LLM_API_KEY ? { Authorization: `Bearer ${LLM_API_KEY}` } : {};
+
+  return {
+    name: 'openai',
+    model: LLM_MODEL,
+
+    validateConfig() {
+      return LLM_BASE_URL ? [] : ['LLM_BASE_URL is not set in environment variables'];
+    },
+
+    async generate(request) {
+      const data = await postJSON('OpenAI-compatible', url, buildPayload(request), { headers });
+      const text = data?.choices?.[0]?.message?.content;
+
+      if (typeof text !== 'string') {
+        throw new LLMProviderError('No choices in chat completion response', {
+          code: 'bad_response',
+          provider: 'OpenAI-compatible',
+        });
+      }
+
+      return { text, usage: getUsage(data) };
+    },
+
+    async stream(request, onText) {
+      const body = await postStream('OpenAI-compatible', url, buildPayload(request, true), { headers });
+      let usage = null;
+
+      await readSSEStream(body, ({ data }) => {
+        if (data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        const text = chunk?.choices?.[0]?.delta?.content;
+        if (text) onText(text);
+        usage = getUsage(chunk) || usage;
+      });
+
+      return { usage };
+    },
+  };
+}
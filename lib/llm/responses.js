@@ -0,0 +1,139 @@
+/**
+ * Shared API responses for endpoints backed by the LLM provider
+ */
+import { getLLMProvider } from './index';
+import { getBudgetStatus } from './usage';
+
+/**
+ * Validate the configured LLM provider
+ * @returns {{ valid: boolean, errors?: string[] }}
+ */
+export function validateLLMConfig() {
+  const errors = [];
+
+  try {
+    errors.push(...getLLMProvider().validateConfig());
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      errors,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Send the configuration error response when the provider is not usable
+ * @returns {boolean} true when a response was sent
+ */
+export function rejectInvalidLLMConfig(res) {
+  const envValidation = validateLLMConfig();
+  if (envValidation.valid) return false;
+
+  console.error('[API] Environment validation failed:', envValidation.errors);
+  res.status(500).json({
+    error: 'Server configuration error. Contact administrator.',
+    details: process.env.NODE_ENV === 'development' ? envValidation.errors : undefined,
+  });
+  return true;
+}
+
+/**
+ * Body of the response sent when the token budget is spent
+ * @param {object} budget - From getBudgetStatus
+ */
+export function budgetExhaustedBody(budget) {
+  return {
+    error: 'AI usage limit reached. Please try again later.',
+    budgetExhausted: true,
+    retryAfter: budget.retryAfterSec,
+  };
+}
+
+/**
+ * Send a 503 with Retry-After until the spent budget resets
+ * @param {object} budget - From getBudgetStatus
+ */
+export function sendBudgetExhausted(res, budget) {
+  console.warn('[API] LLM token budget exhausted:', { daily: budget.daily.used, monthly: budget.monthly.used });
+
+  res.setHeader('Retry-After', String(budget.retryAfterSec));
+  return res.status(503).json(budgetExhaustedBody(budget));
+}
+
+/**
+ * Send the budget response when the daily or monthly token budget is spent
+ * Call right before generating, after any cached result has been served
+ * @returns {Promise<boolean>} true when a response was sent
+ */
+export async function rejectOverBudget(res) {
+  const budget = await getBudgetStatus();
+  if (!budget.exhausted) return false;
+
+  sendBudgetExhausted(res, budget);
+  return true;
+}
+
+/**
+ * Send a 502 for model output that failed schema validation after repair
+ */
+export function sendValidationFailure(res, result, videoId) {
+  console.error('[API] Model output failed validation:', {
+    videoId,
+    error: result.error,
+    validationErrors: result.validationErrors,
+  });
+
+  return res.status(502).json({
+    error: 'AI response failed validation',
+    validationErrors: result.validationErrors || [result.error],
+    details: process.env.NODE_ENV === 'development' ? result.rawText : undefined,
+  });
+}
+
+/**
+ * Map provider errors to status codes and send the error response
+ * @param {object} context - { label, videoId, fallbackMessage } for logging and the generic error
+ */
+export function sendLLMError(res, error, { label, videoId, fallbackMessage } = {}) {
+  console.error(`[API] ${label || 'LLM'} error:`, {
+    videoId,
+    error: error.message,
+    stack: error.stack,
+  });
+
+  const { statusCode, errorMessage } = mapProviderError(error, fallbackMessage);
+
+  return res.status(statusCode).json({
+    error: errorMessage,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+}
+
+/**
+ * Map errors to appropriate status codes and user-facing messages
+ * @param {any} error - Error thrown while calling the provider (LLMProviderError has a code)
+ * @param {string} fallbackMessage - Message for errors that are not provider-specific
+ */
+export function mapProviderError(error, fallbackMessage = 'AI request failed. Please try again.') {
+  let statusCode = 500;
+  let errorMessage = fallbackMessage;
+
+  if (error.code === 'rate_limited') {
+    statusCode = 429;
+    errorMessage = 'AI provider rate limit reached. Please wait and try again.';
+  } else if (error.code === 'auth') {
+    statusCode = 500;
+    errorMessage = 'Server configuration error.';
+  } else if (error.code === 'quota') {
+    statusCode = 503;
+    errorMessage = 'Service quota exceeded. Please try again later.';
+  }
+
+  return { statusCode, errorMessage };
+}
@@ -0,0 +1,118 @@
+/**
+ * Minimal JSON schema support for model output
+ *
+ * Schemas use a small JSON Schema subset:
+ *   type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'
+ *   properties, required (objects), items, minItems, maxItems (arrays),
+ *   minLength, maxLength, enum (strings), minimum, maximum (numbers)
+ */
+
+/**
+ * Check the JSON type of a value against a schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Parsed model output
+ * @param {object} schema - Schema definition
+ * @param {string} path - Path used in error messages
+ * @returns {string[]} Human-readable errors, empty when valid
+ */
+export function validateSchema(value, schema, path = 'response') {
+  if (!matchesType(value, schema.type)) {
+    return [`${path}: expected ${schema.type}, got ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && schema.minItems === schema.maxItems && value.length !== schema.minItems) {
+      errors.push(`${path}: expected exactly ${schema.minItems} items, got ${value.length}`);
+    } else if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} items, got ${value.length}`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: expected at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (schema.type === 'string') {
+    const length = value.trim().length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters, got ${length}`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters, got ${length}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a schema to Gemini's responseSchema format (OpenAPI subset)
+ * Length limits are not supported there and are only enforced by validateSchema
+ * @param {object} schema - Schema definition
+ * @returns {object} Gemini responseSchema
+ */
+export function toGeminiSchema(schema) {
+  const geminiSchema = { type: schema.type.toUpperCase() };
+
+  if (schema.properties) {
+    geminiSchema.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, propertySchema]) => [key, toGeminiSchema(propertySchema)])
+    );
+    geminiSchema.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.required) geminiSchema.required = schema.required;
+  if (schema.items) geminiSchema.items = toGeminiSchema(schema.items);
+  if (schema.minItems !== undefined) geminiSchema.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) geminiSchema.maxItems = schema.maxItems;
+  if (schema.enum) {
+    geminiSchema.format = 'enum';
+    geminiSchema.enum = schema.enum;
+  }
+
+  return geminiSchema;
+}
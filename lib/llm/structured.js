@@ -0,0 +1,104 @@
+/**
+ * Schema-validated JSON generation with an automatic repair pass
+ *
+ * The schema is passed to the provider (Gemini uses it as responseSchema),
+ * and the output is validated locally either way. Invalid output is sent back
+ * to the model together with the validation errors for up to
+ * LLM_REPAIR_ATTEMPTS corrections.
+ */
+import { validateSchema } from './schema';
+
+const LLM_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS || '1', 10);
+
+/**
+ * Extract and parse JSON from model response
+ */
+export function extractJSON(text) {
+  if (!text) return null;
+
+  // Try direct parsing first
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Ignore
+  }
+
+  // Try to find JSON block
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch {
+    console.warn('[LLM] Failed to parse JSON from response:', text.substring(0, 200));
+    return null;
+  }
+}
+
+/**
+ * Parse and validate model output
+ * @returns {object} { data, errors }
+ */
+function checkOutput(text, schema, validate) {
+  const data = extractJSON(text);
+  if (data === null) {
+    return { data, errors: ['response: is not valid JSON'] };
+  }
+
+  const errors = validateSchema(data, schema);
+  // Rules the schema can't express only make sense once the shape is right
+  if (errors.length === 0 && validate) {
+    errors.push(...validate(data));
+  }
+  return { data, errors };
+}
+
+/**
+ * Build the re-prompt asking the model to fix its previous output
+ */
+function buildRepairPrompt(userPrompt, previousText, errors) {
+  return `${userPrompt}
+
+---
+Your previous response did not match the required format:
+${previousText}
+
+Validation errors:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Return a corrected JSON object that fixes every error above. Respond with ONLY the JSON object.`;
+}
+
+/**
+ * Generate JSON output that matches a schema
+ * @param {object} provider - LLM provider from getLLMProvider()
+ * @param {object} request - { task, systemPrompt, userPrompt, schema, maxOutputTokens }
+ * @param {object} options - { initialText } to validate (and repair) existing output instead of generating it,
+ *   { validate } for extra checks beyond the schema, returning error strings like validateSchema
+ * @returns {Promise<object>} { success, data, rawText } or { success: false, error, validationErrors, rawText }
+ */
+export async function generateStructured(provider, request, { initialText, validate } = {}) {
+  let text = initialText ?? (await provider.generate(request)).text;
+  let { data, errors } = checkOutput(text, request.schema, validate);
+
+  for (let attempt = 0; errors.length > 0 && attempt < LLM_REPAIR_ATTEMPTS; attempt++) {
+    console.warn(`[LLM] ${request.task} output failed validation, repair attempt ${attempt + 1}:`, errors);
+
+    text = (await provider.generate({
+      ...request,
+      userPrompt: buildRepairPrompt(request.userPrompt, text, errors),
+    })).text;
+    ({ data, errors } = checkOutput(text, request.schema, validate));
+  }
+
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: 'Model output failed schema validation',
+      validationErrors: errors,
+      rawText: text,
+    };
+  }
+
+  return { success: true, data, rawText: text };
+}
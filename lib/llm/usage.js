@@ -0,0 +1,213 @@
+/**
+ * Token accounting and budgets for LLM calls
+ *
+ * Every provider call reports { promptTokens, outputTokens } (see ./index);
+ * trackUsage() records each one in the TokenUsage table together with the
+ * route, user and video of the request that caused it. API routes set those
+ * with withUsageContext(route, handler) (pages) or runWithUsageContext()
+ * (app routes); calls made while handling the request, background refreshes
+ * included, are attributed to it. measureUsage(fn) also totals the tokens of
+ * the calls fn makes, e.g. to store what a summary cost with it.
+ *
+ * Budgets cap the tokens (prompt + output) spent by all users together:
+ *   LLM_DAILY_TOKEN_BUDGET    per UTC day, 0 = unlimited
+ *   LLM_MONTHLY_TOKEN_BUDGET  per UTC calendar month, 0 = unlimited
+ * Routes check getBudgetStatus() before generating and fall back to cached or
+ * non-AI results once a budget is spent. A call already running when the
+ * budget runs out still completes, so totals can end slightly over it.
+ *
+ * Recording and budget checks fail open: without a database the app keeps
+ * working, just without accounting.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LLM_DAILY_TOKEN_BUDGET = parseInt(process.env.LLM_DAILY_TOKEN_BUDGET || '0', 10);
+const LLM_MONTHLY_TOKEN_BUDGET = parseInt(process.env.LLM_MONTHLY_TOKEN_BUDGET || '0', 10);
+
+// USD per million tokens, for cost estimates in usage reports
+const LLM_INPUT_PRICE_PER_MTOK = parseFloat(process.env.LLM_INPUT_PRICE_PER_MTOK || '0');
+const LLM_OUTPUT_PRICE_PER_MTOK = parseFloat(process.env.LLM_OUTPUT_PRICE_PER_MTOK || '0');
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with the request's route, user and video attached to any LLM calls it makes
+ * @template T
+ * @param {{ route: string, email?: string | null, videoId?: string | null }} context - email and videoId are optional
+ * @param {() => T} fn - Work to run
+ * @returns {T} What fn returns
+ */
+export function runWithUsageContext(context, fn) {
+  return usageContext.run(context, fn);
+}
+
+/**
+ * Attribute a pages API route's LLM calls to the request's email and videoId
+ * @param {string} route - Route name stored with the usage ('summarize', 'quiz', ...)
+ * @param {function} handler - (req, res) API route handler
+ * @returns {function} Wrapped handler
+ */
+export function withUsageContext(route, handler) {
+  return function usageTrackedHandler(req, res) {
+    const { email, videoId } = req.body || {};
+    const context = {
+      route,
+      email: typeof email === 'string' && email.includes('@') ? email : null,
+      videoId: typeof videoId === 'string' ? videoId : null,
+    };
+
+    return runWithUsageContext(context, () => handler(req, res));
+  };
+}
+
+/**
+ * Run fn and total the tokens of the LLM calls it makes
+ * The calls are still recorded and attributed like any other
+ * @template T
+ * @param {() => Promise<T>} fn - Work to run
+ * @returns {Promise<{ result: T, usage: { promptTokens: number, outputTokens: number } }>}
+ */
+export async function measureUsage(fn) {
+  const parent = usageContext.getStore() || {};
+  const usage = { promptTokens: 0, outputTokens: 0 };
+
+  // Nested measurements all count a call: meters are inherited
+  const result = await usageContext.run({ ...parent, meters: [...(parent.meters || []), usage] }, fn);
+  return { result, usage };
+}
+
+/**
+ * UTC day ('YYYY-MM-DD') a usage record belongs to
+ */
+export function getUsageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Save the token counts of one provider call
+ * Never throws: accounting must not fail the request
+ */
+async function recordUsage(provider, task, usage) {
+  if (!usage) return;
+
+  const context = usageContext.getStore() || {};
+
+  for (const meter of context.meters || []) {
+    meter.promptTokens += usage.promptTokens;
+    meter.outputTokens += usage.outputTokens;
+  }
+
+  try {
+    const { recordTokenUsage } = await import('@/lib/tokenUsageStore');
+    await recordTokenUsage({
+      email: context.email ?? null,
+      videoId: context.videoId ?? null,
+      route: context.route || 'unknown',
+      task: task || 'unknown',
+      provider: provider.name,
+      model: provider.model,
+      promptTokens: usage.promptTokens,
+      outputTokens: usage.outputTokens,
+      day: getUsageDay(),
+    });
+  } catch (error) {
+    console.error('[Usage] Failed to record token usage:', error.message);
+  }
+}
+
+/**
+ * Wrap a provider so every generate/stream call records its token usage
+ * @param {object} provider - LLM provider
+ * @returns {object} Provider with the same interface
+ */
+export function trackUsage(provider) {
+  return {
+    ...provider,
+
+    async generate(request) {
+      const response = await provider.generate(request);
+      await recordUsage(provider, request.task, response.usage);
+      return response;
+    },
+
+    async stream(request, onText) {
+      const response = await provider.stream(request, onText);
+      await recordUsage(provider, request.task, response?.usage);
+      return response;
+    },
+  };
+}
+
+/**
+ * Start of the current UTC month
+ */
+function getMonthStart(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Compare spent tokens with one budget
+ * @returns {object} { used, limit, remaining, exhausted, resetsAt } limit 0 means unlimited
+ */
+function evaluateBudget(used, limit, resetsAt) {
+  return {
+    used,
+    limit,
+    remaining: limit > 0 ? Math.max(0, limit - used) : null,
+    exhausted: limit > 0 && used >= limit,
+    resetsAt: resetsAt.toISOString(),
+  };
+}
+
+/**
+ * Current daily and monthly budget usage
+ * @returns {Promise<{ exhausted: boolean, retryAfterSec: number, daily: object, monthly: object }>}
+ *   retryAfterSec is the time until the exhausted budget resets, 0 when none is exhausted
+ */
+export async function getBudgetStatus() {
+  const now = new Date();
+  const dayEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  const monthStart = getMonthStart(now);
+  const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+  let daily = { totalTokens: 0 };
+  let monthly = { totalTokens: 0 };
+
+  if (LLM_DAILY_TOKEN_BUDGET > 0 || LLM_MONTHLY_TOKEN_BUDGET > 0) {
+    try {
+      const { getTokenTotals } = await import('@/lib/tokenUsageStore');
+      [daily, monthly] = await Promise.all([
+        getTokenTotals({ since: new Date(`${getUsageDay(now)}T00:00:00Z`) }),
+        getTokenTotals({ since: monthStart }),
+      ]);
+    } catch (error) {
+      // Availability beats accounting, like the rate limiter
+      console.error('[Usage] Budget check failed, allowing request:', error.message);
+    }
+  }
+
+  const status = {
+    daily: evaluateBudget(daily.totalTokens, LLM_DAILY_TOKEN_BUDGET, dayEnd),
+    monthly: evaluateBudget(monthly.totalTokens, LLM_MONTHLY_TOKEN_BUDGET, monthEnd),
+  };
+
+  // The monthly budget outlasts the daily one when both are spent
+  const blocking = status.monthly.exhausted ? monthEnd : status.daily.exhausted ? dayEnd : null;
+
+  return {
+    exhausted: blocking !== null,
+    retryAfterSec: blocking ? Math.ceil((blocking.getTime() - now.getTime()) / 1000) : 0,
+    ...status,
+  };
+}
+
+/**
+ * Estimated cost of some tokens with the configured prices
+ * @returns {number|null} USD, null when no prices are configured
+ */
+export function estimateCost(promptTokens, outputTokens) {
+  if (!LLM_INPUT_PRICE_PER_MTOK && !LLM_OUTPUT_PRICE_PER_MTOK) return null;
+
+  const cost = (promptTokens * LLM_INPUT_PRICE_PER_MTOK + outputTokens * LLM_OUTPUT_PRICE_PER_MTOK) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
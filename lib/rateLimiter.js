@@ -1,71 +1,296 @@
 /**
- * Simple in-memory rate limiter
- * For production, use Redis or external service
+ * Rate limiting for API routes
+ *
+ * Each route has a named policy (RATE_LIMIT_POLICIES). Anonymous requests are
+ * limited per client IP (see lib/clientIp for proxies and IPv6); requests that carry an email get the policy's larger
+ * identifiedLimit, counted per email and per IP (emails aren't verified, so
+ * rotating them must not buy more requests from one address).
+ *
+ * Counting uses a sliding window counter: the previous fixed window's count is
+ * weighted by how much of it still overlaps the sliding window. Rejected
+ * requests count too, so clients that ignore Retry-After stay limited.
+ *
+ * State lives in a store chosen with RATE_LIMIT_STORE: memory (default, per
+ * process) or redis (shared by every instance, needs REDIS_URL). Every store implements:
+ *   hit(key, windowSec) -> Promise<{ current, previous, elapsedSec }>
+ *     counts a request in the current window and returns both windows' counts
+ *     and how far into the current window we are
+ *
+ * Pages API routes use withRateLimit(policy, handler); app routes use
+ * withRouteRateLimit(policy, handler). Responses carry RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers, plus Retry-After on 429.
  */
+import { getRedisClient, REDIS_KEY_PREFIX } from '@/lib/redis';
+import { getClientIp } from '@/lib/clientIp';
 
-const requestCounts = new Map();
+const RATE_LIMIT_REQUESTS = parseInt(process.env.RATE_LIMIT_REQUESTS || '10', 10);
+const RATE_LIMIT_WINDOW_SEC = parseInt(process.env.RATE_LIMIT_WINDOW_SEC || '60', 10);
+const SWEEP_INTERVAL_SEC = 60;
 
 /**
- * Check if request exceeds rate limit
- * @param {string} identifier - Client identifier (IP, user ID, etc.)
- * @param {number} limit - Max requests allowed
- * @param {number} windowSec - Time window in seconds
- * @returns {boolean} True if within limit
+ * Limits per route, per window of windowSec seconds
+ * limit applies to anonymous clients, identifiedLimit to requests with an email
  */
-export function checkRateLimit(identifier, limit = 10, windowSec = 60) {
-  const now = Date.now();
-  const key = identifier;
+export const RATE_LIMIT_POLICIES = {
+  // LLM-backed routes: every request costs provider quota
+  summarize: { limit: RATE_LIMIT_REQUESTS, identifiedLimit: RATE_LIMIT_REQUESTS * 3, windowSec: RATE_LIMIT_WINDOW_SEC },
+  quiz: { limit: 10, identifiedLimit: 30, windowSec: 60 },
+  'video-chat': { limit: 20, identifiedLimit: 60, windowSec: 60 },
+  flashcards: { limit: 10, identifiedLimit: 30, windowSec: 60 },
+  // YouTube lookups: scraping and Data API quota
+  transcript: { limit: 30, identifiedLimit: 90, windowSec: 60 },
+  metadata: { limit: 60, identifiedLimit: 180, windowSec: 60 },
+  search: { limit: 20, identifiedLimit: 60, windowSec: 60 },
+  // Audio uploads: transcription can keep a CPU busy for minutes
+  'transcript-audio': { limit: 3, identifiedLimit: 10, windowSec: 3600 },
+  // Learning plans: generation is slow and expensive, the status endpoint is polled
+  learning: { limit: 3, identifiedLimit: 5, windowSec: 3600 },
+  'learning-status': { limit: 120, identifiedLimit: 240, windowSec: 60 },
+  // Reports
+  usage: { limit: 30, identifiedLimit: 60, windowSec: 60 },
+};
 
-  if (!requestCounts.has(key)) {
-    requestCounts.set(key, []);
+/**
+ * Per-process store: fixed-window counts in a Map, swept once they can't matter
+ */
+function createMemoryStore() {
+  const windows = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      // Both windows are over: the entry no longer affects any count
+      if (now - entry.windowStart >= 2 * entry.windowSec * 1000) windows.delete(key);
+    }
+  }, SWEEP_INTERVAL_SEC * 1000).unref?.();
+
+  return {
+    async hit(key, windowSec) {
+      const now = Date.now();
+      const windowMs = windowSec * 1000;
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      let entry = windows.get(key);
+
+      if (!entry || entry.windowStart !== windowStart) {
+        // Roll over: the old current window is the previous one only if they're adjacent
+        const previous = entry && entry.windowStart === windowStart - windowMs ? entry.current : 0;
+        entry = { windowStart, windowSec, current: 0, previous };
+        windows.set(key, entry);
+      }
+
+      entry.current++;
+      return { current: entry.current, previous: entry.previous, elapsedSec: (now - windowStart) / 1000 };
+    },
+  };
+}
+
+/**
+ * Redis store: one counter key per fixed window, expiring after the next window
+ */
+function createRedisStore() {
+  return {
+    async hit(key, windowSec) {
+      const now = Date.now();
+      const windowIndex = Math.floor(now / (windowSec * 1000));
+      const currentKey = `${REDIS_KEY_PREFIX}ratelimit:${key}:${windowIndex}`;
+      const previousKey = `${REDIS_KEY_PREFIX}ratelimit:${key}:${windowIndex - 1}`;
+
+      const client = await getRedisClient();
+      const [current, , previous] = await client
+        .multi()
+        .incr(currentKey)
+        .expire(currentKey, windowSec * 2)
+        .get(previousKey)
+        .exec();
+
+      return {
+        current: Number(current),
+        previous: Number(previous) || 0,
+        elapsedSec: (now - windowIndex * windowSec * 1000) / 1000,
+      };
+    },
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  redis: createRedisStore,
+};
+
+let store = null;
+
+/**
+ * Get the configured rate limit store
+ * @returns {object} Rate limit store
+ */
+function getRateLimitStore() {
+  if (store) return store;
+
+  const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  const createStore = STORES[name];
+
+  if (!createStore) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Expected one of: ${Object.keys(STORES).join(', ')}`);
   }
 
-  const timestamps = requestCounts.get(key);
+  store = createStore();
+  return store;
+}
+
+/**
+ * Evaluate one counter against its limit
+ * @returns {object} { allowed, limit, remaining, resetSec, retryAfterSec }
+ */
+function evaluateWindow({ current, previous, elapsedSec }, limit, windowSec) {
+  const weight = 1 - elapsedSec / windowSec;
+  const count = previous * weight + current;
+  const remaining = Math.max(0, Math.floor(limit - count));
+  const resetSec = Math.ceil(windowSec - elapsedSec);
 
-  // Remove timestamps outside the window
-  const filtered = timestamps.filter(ts => now - ts < windowSec * 1000);
+  if (count <= limit) {
+    return { allowed: true, limit, remaining, resetSec, retryAfterSec: 0 };
+  }
 
-  if (filtered.length >= limit) {
-    return false; // Rate limit exceeded
+  // Time until the weighted count drops back under the limit
+  let retryAfterSec;
+  if (current < limit) {
+    // Within this window, as the previous window's weight fades
+    retryAfterSec = windowSec * (1 - (limit - current) / previous) - elapsedSec;
+  } else {
+    // After this window ends, as this window's count fades in turn
+    retryAfterSec = windowSec - elapsedSec + windowSec * (1 - limit / current);
   }
 
-  filtered.push(now);
-  requestCounts.set(key, filtered);
-  return true; // Within limit
+  return { allowed: false, limit, remaining: 0, resetSec, retryAfterSec: Math.max(1, Math.ceil(retryAfterSec)) };
 }
 
 /**
- * Get client IP from request
- * @param {object} req - Next.js request object
- * @returns {string} Client IP
+ * Count a request against a policy
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {object} client - { ip, email } email is optional
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetSec: number, retryAfterSec: number, windowSec: number }>}
+ *   The most restrictive of the request's counters; a failing store allows the request
  */
-export function getClientIp(req) {
-  return (
-    req.headers['x-forwarded-for']?.split(',')[0] ||
-    req.headers['x-real-ip'] ||
-    req.socket?.remoteAddress ||
-    'unknown'
-  );
+export async function checkRateLimit(policyName, { ip, email }) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  const identified = typeof email === 'string' && email.includes('@');
+  const limit = identified ? policy.identifiedLimit : policy.limit;
+  // Unresolved addresses share the 'unknown' key, so rotating emails can't escape it
+  const ipKey = `${policyName}:ip:${ip}`;
+  const keys = identified ? [`${policyName}:email:${email.trim().toLowerCase()}`, ipKey] : [ipKey];
+
+  try {
+    const rateLimitStore = getRateLimitStore();
+    const counts = await Promise.all(keys.map((key) => rateLimitStore.hit(key, policy.windowSec)));
+    const results = counts.map((windowCounts) => evaluateWindow(windowCounts, limit, policy.windowSec));
+
+    // Report the counter that blocks longest, or the one closest to its limit
+    const blocked = results.filter((result) => !result.allowed);
+    const result = blocked.length > 0
+      ? blocked.reduce((worst, next) => (next.retryAfterSec > worst.retryAfterSec ? next : worst))
+      : results.reduce((worst, next) => (next.remaining < worst.remaining ? next : worst));
+    return { ...result, windowSec: policy.windowSec };
+  } catch (error) {
+    // Availability beats limiting: don't turn a store outage into an API outage
+    console.error('[RateLimit] Store error, allowing request:', error.message);
+    return { allowed: true, limit, remaining: limit, resetSec: policy.windowSec, retryAfterSec: 0, windowSec: policy.windowSec };
+  }
+}
+
+/**
+ * Standard rate limit response headers
+ * @param {object} result - From checkRateLimit
+ * @returns {Record<string, string>} Header name -> value
+ */
+export function rateLimitHeaders(result) {
+  const headers = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSec),
+  };
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retryAfterSec);
+  }
+
+  return headers;
 }
 
 /**
- * Cleanup old entries periodically (run hourly)
+ * Body of a 429 response
  */
-export function cleanupRateLimiter() {
-  const now = Date.now();
-  const maxWindowSize = 120 * 1000; // 2 minutes
-
-  for (const [key, timestamps] of requestCounts.entries()) {
-    const filtered = timestamps.filter(ts => now - ts < maxWindowSize);
-    if (filtered.length === 0) {
-      requestCounts.delete(key);
-    } else {
-      requestCounts.set(key, filtered);
+function rateLimitedBody(result) {
+  return {
+    error: `Rate limited. Max ${result.limit} requests per ${result.windowSec}s`,
+    retryAfter: result.retryAfterSec,
+  };
+}
+
+/**
+ * Rate limit a pages API route
+ * Sets the RateLimit headers and answers 429 before the handler runs when over the limit
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {function} handler - (req, res) API route handler
+ * @param {object} options - { getEmail(req) } defaults to the body's or query's email
+ * @returns {function} Wrapped handler
+ */
+export function withRateLimit(policyName, handler, { getEmail = (req) => req.body?.email ?? req.query?.email } = {}) {
+  return async function rateLimitedHandler(req, res) {
+    const result = await checkRateLimit(policyName, { ip: getClientIp(req), email: getEmail(req) });
+
+    for (const [name, value] of Object.entries(rateLimitHeaders(result))) {
+      res.setHeader(name, value);
     }
+
+    if (!result.allowed) {
+      return res.status(429).json(rateLimitedBody(result));
+    }
+
+    return handler(req, res);
+  };
+}
+
+/**
+ * Email an app route request identifies itself with: ?email=, or the JSON body's email
+ */
+async function getRouteRequestEmail(request) {
+  const fromQuery = new URL(request.url).searchParams.get('email');
+  if (fromQuery || !request.headers.get('content-type')?.includes('application/json')) {
+    return fromQuery;
   }
+
+  // Read a copy so the handler can still read the body
+  const body = await request.clone().json().catch(() => null);
+  return body?.email;
 }
 
-// Cleanup every hour
-if (typeof global !== 'undefined') {
-  setInterval(cleanupRateLimiter, 60 * 60 * 1000);
+/**
+ * Rate limit an app route handler
+ * @template {Request} R
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {(request: R, context?: any) => Promise<Response>} handler - Route handler
+ * @returns {(request: R, context?: any) => Promise<Response>} Wrapped handler that adds the RateLimit headers to its response
+ */
+export function withRouteRateLimit(policyName, handler) {
+  return async function rateLimitedRoute(request, context) {
+    const result = await checkRateLimit(policyName, {
+      ip: getClientIp(request),
+      email: await getRouteRequestEmail(request),
+    });
+    const headers = rateLimitHeaders(result);
+
+    if (!result.allowed) {
+      return Response.json(rateLimitedBody(result), { status: 429, headers });
+    }
+
+    const response = await handler(request, context);
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+    return response;
+  };
 }
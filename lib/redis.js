@@ -0,0 +1,51 @@
+/**
+ * Shared Redis connection for the cache and rate limiter
+ * Connects on first use, so builds and deployments without Redis never load the client.
+ */
+
+const REDIS_URL = process.env.REDIS_URL;
+const CONNECT_TIMEOUT_MS = 5000;
+
+// Prefix for every key this app writes, so several apps can share one database
+export const REDIS_KEY_PREFIX = process.env.CACHE_PREFIX ?? 'edujoy:';
+
+let clientPromise = null;
+
+/**
+ * Get the connected Redis client
+ * @returns {Promise<object>} node-redis client
+ */
+export async function getRedisClient() {
+  if (!REDIS_URL) {
+    throw new Error('REDIS_URL is not set');
+  }
+
+  if (!clientPromise) {
+    clientPromise = import('redis')
+      .then(({ createClient }) => {
+        let ready = false;
+        const client = createClient({
+          url: REDIS_URL,
+          // Fail commands while disconnected instead of queueing them, so a Redis
+          // outage fails fast rather than hanging requests
+          disableOfflineQueue: true,
+          socket: {
+            connectTimeout: CONNECT_TIMEOUT_MS,
+            // Give up on the first connection (the next call tries again); reconnect with backoff after that
+            reconnectStrategy: (retries, cause) => (ready ? Math.min(retries * 100, 3000) : cause),
+          },
+        });
+        client.on('error', (error) => console.error('[Redis] Error:', error.message));
+        client.on('ready', () => {
+          ready = true;
+        });
+        return client.connect();
+      })
+      .catch((error) => {
+        // Try again on the next call instead of caching the failure
+        clientPromise = null;
+        throw error;
+      });
+  }
+  return clientPromise;
+}
@@ -0,0 +1,63 @@
+/**
+ * SM-2 spaced-repetition scheduling for flashcards
+ * @see https://super-memory.com/english/ol/sm2.htm
+ */
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Review buttons and the SM-2 grade (0-5) each one records
+ */
+export const REVIEW_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+/**
+ * Schedule the next review of a card
+ * Grades below 3 count as a lapse: the card starts over and comes back tomorrow,
+ * with its ease factor unchanged
+ * @param {object} card - { easeFactor, interval (days), repetitions }
+ * @param {number} grade - Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {Date} now - Review time
+ * @returns {object} { easeFactor, interval, repetitions, dueAt, lastReviewedAt }
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+    throw new Error(`Invalid review grade: ${grade}`);
+  }
+
+  const easeFactor = card.easeFactor ?? DEFAULT_EASE_FACTOR;
+  let repetitions = card.repetitions ?? 0;
+  let interval;
+
+  if (grade < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round((card.interval || 1) * easeFactor);
+    }
+  }
+
+  const nextEaseFactor = grade < 3
+    ? easeFactor
+    : Math.max(MIN_EASE_FACTOR, easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+  return {
+    easeFactor: Math.round(nextEaseFactor * 100) / 100,
+    interval,
+    repetitions,
+    dueAt: new Date(now.getTime() + interval * DAY_MS),
+    lastReviewedAt: now,
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Server-Sent Events helpers
+ * Used server-side to stream API responses (pages routes write to res, app
+ * routes enqueue formatSSE frames) and read Gemini streams, and client-side
+ * to read streamed responses from our own API
+ */
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+  'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+};
+
+/**
+ * Start an SSE response on a Next.js API response object
+ * @param {object} res - Next.js response object
+ */
+export function startSSE(res) {
+  res.writeHead(200, SSE_HEADERS);
+  res.flushHeaders?.();
+}
+
+/**
+ * Encode a single SSE event
+ * @param {string} event - Event name
+ * @param {any} data - JSON-serializable payload
+ * @returns {string} Frame text, blank line included
+ */
+export function formatSSE(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Send a single SSE event
+ * @param {object} res - Next.js response object
+ * @param {string} event - Event name
+ * @param {any} data - JSON-serializable payload
+ */
+export function sendSSE(res, event, data) {
+  res.write(formatSSE(event, data));
+}
+
+/**
+ * Parse a single SSE frame into { event, data }
+ * @param {string} frame - Raw frame text without the trailing blank line
+ * @returns {object|null} Parsed event or null for comments/empty frames
+ */
+function parseFrame(frame) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of frame.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.substring(0, colon);
+    const value = colon === -1 ? '' : line.substring(colon + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') dataLines.push(value);
+  }
+
+  return dataLines.length > 0 ? { event, data: dataLines.join('\n') } : null;
+}
+
+/**
+ * Read an SSE stream to the end, calling onEvent for each event
+ * @param {ReadableStream} stream - Response body (fetch)
+ * @param {(event: { event: string, data: string }) => void} onEvent - Called for each event; data is the raw string
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readSSEStream(stream, onEvent) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+    const frames = buffer.split(/\r?\n\r?\n/);
+    buffer = done ? '' : frames.pop();
+
+    for (const frame of frames) {
+      const parsed = parseFrame(frame);
+      if (parsed) onEvent(parsed);
+    }
+
+    if (done) return;
+  }
+}
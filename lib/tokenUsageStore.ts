@@ -0,0 +1,109 @@
+/**
+ * Token Usage Store with Prisma + Neon PostgreSQL
+ * One row per LLM call, for budgets and per-day/per-model usage reports
+ */
+
+import { prisma } from './prisma';
+
+export interface TokenUsageInput {
+  email: string | null;
+  videoId: string | null;
+  route: string;
+  task: string;
+  provider: string;
+  model: string;
+  promptTokens: number;
+  outputTokens: number;
+  day: string;
+}
+
+export interface TokenTotals {
+  requests: number;
+  promptTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+}
+
+export interface DailyModelUsage {
+  day: string;
+  provider: string;
+  model: string;
+  requests: number;
+  promptTokens: number;
+  outputTokens: number;
+}
+
+export interface TokenUsageFilter {
+  since: Date;
+  email?: string;
+  videoId?: string;
+}
+
+interface UsageGroup {
+  day: string;
+  provider: string;
+  model: string;
+  _count: { _all: number };
+  _sum: { promptTokens: number | null; outputTokens: number | null };
+}
+
+/**
+ * Build the Prisma where clause for a usage query
+ */
+function buildWhere({ since, email, videoId }: TokenUsageFilter) {
+  return {
+    createdAt: { gte: since },
+    ...(email && { email }),
+    ...(videoId && { videoId }),
+  };
+}
+
+/**
+ * Record the tokens used by one LLM call
+ */
+export async function recordTokenUsage(usage: TokenUsageInput): Promise<void> {
+  await prisma.tokenUsage.create({ data: usage });
+}
+
+/**
+ * Total tokens used since a point in time
+ */
+export async function getTokenTotals(filter: TokenUsageFilter): Promise<TokenTotals> {
+  const result = await prisma.tokenUsage.aggregate({
+    where: buildWhere(filter),
+    _sum: { promptTokens: true, outputTokens: true },
+    _count: { _all: true },
+  });
+
+  const promptTokens = result._sum.promptTokens ?? 0;
+  const outputTokens = result._sum.outputTokens ?? 0;
+
+  return {
+    requests: result._count._all,
+    promptTokens,
+    outputTokens,
+    totalTokens: promptTokens + outputTokens,
+  };
+}
+
+/**
+ * Usage grouped per UTC day and model, newest day first
+ */
+export async function getDailyUsage(filter: TokenUsageFilter): Promise<DailyModelUsage[]> {
+  const groups = await prisma.tokenUsage.groupBy({
+    by: ['day', 'provider', 'model'],
+    where: buildWhere(filter),
+    _sum: { promptTokens: true, outputTokens: true },
+    _count: { _all: true },
+    orderBy: [{ day: 'desc' }, { model: 'asc' }],
+  });
+
+  return groups.map((group: UsageGroup) => ({
+    day: group.day,
+    provider: group.provider,
+    model: group.model,
+    requests: group._count._all,
+    promptTokens: group._sum.promptTokens ?? 0,
+    outputTokens: group._sum.outputTokens ?? 0,
+  }));
+}
@@ -0,0 +1,605 @@
+/**
+ * Transcript fetching and text preparation
+ * Shared by /api/transcript and the AI endpoints that work from transcripts
+ */
+import { YoutubeTranscript } from 'youtube-transcript';
+import axios from 'axios';
+import path from 'path';
+import { cache } from '@/lib/cache';
+import { formatTimestamp } from '@/lib/videoUtils';
+import { findTrackForLanguage } from '@/lib/languages';
+import { getASREngine, isASREnabled } from '@/lib/asr';
+import { findAudioFile } from '@/lib/asr/audio';
+
+const CACHE_TTL_SEC = parseInt(process.env.SUMMARY_CACHE_TTL_SEC || '86400', 10);
+export const MAX_TRANSCRIPT_CHARS = parseInt(process.env.MAX_TRANSCRIPT_CHARS || '120000', 10);
+export const MAX_SUMMARY_CHUNKS = parseInt(process.env.MAX_SUMMARY_CHUNKS || '8', 10);
+const TIMESTAMP_MARKER_INTERVAL_SEC = 15;
+
+const transcriptCache = cache.namespace('transcript');
+const captionsCache = cache.namespace('captions');
+
+/**
+ * Read the caption tracks listed on the video page
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Array>} Caption tracks ({ baseUrl, languageCode, name, kind }), empty if none
+ */
+async function fetchCaptionTracks(videoId) {
+  const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+  const response = await axios.get(videoUrl, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    },
+    timeout: 10000
+  });
+
+  // Look for caption tracks in the HTML
+  const captionRegex = /"captionTracks":\s*\[([^\]]*)\]/;
+  const match = response.data.match(captionRegex);
+
+  return match ? JSON.parse(`[${match[1]}]`) : [];
+}
+
+/**
+ * Display name of a caption track ("English (auto-generated)")
+ */
+function getTrackName(track) {
+  return track.name?.simpleText || track.name?.runs?.map((run) => run.text).join('') || track.languageCode;
+}
+
+/**
+ * List the caption languages available for a video
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Array>} [{ code, name, autoGenerated }]
+ */
+export async function getCaptionLanguages(videoId) {
+  const cached = await captionsCache.get(videoId);
+  if (cached) return cached;
+
+  const languages = (await fetchCaptionTracks(videoId)).map((track) => ({
+    code: track.languageCode,
+    name: getTrackName(track),
+    autoGenerated: track.kind === 'asr',
+  }));
+
+  await captionsCache.set(videoId, languages, CACHE_TTL_SEC);
+  return languages;
+}
+
+// Named entities seen in caption text; numeric ones (&#39; &#x27;) are decoded generically
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', bull: '•', middot: '·', deg: '°', copy: '©', reg: '®', trade: '™',
+  euro: '€', pound: '£', cent: '¢', yen: '¥', times: '×', divide: '÷', para: '¶', sect: '§',
+  iexcl: '¡', iquest: '¿', shy: '',
+};
+
+// Caption formats to ask for, in order of preference
+const CAPTION_FORMATS = ['json3', 'srv1'];
+
+/**
+ * Decode HTML entities: named ones in NAMED_ENTITIES and any numeric one
+ * Unknown names and invalid code points are left as they are
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== '#') {
+      return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    }
+
+    const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+  });
+}
+
+// Styling markup captions carry (<font color="#fff">, <i>, <b>, <u>); any other < or > is text
+const CAPTION_MARKUP = /<\/?(?:i|b|u)>|<font\b[^>]*>|<\/font>/gi;
+
+/**
+ * Clean caption text: decode entities, drop markup and collapse whitespace
+ * srv1 escapes the text twice (&amp;#39;) but its markup once, so markup is
+ * dropped between the two decodes: a spoken "&amp;lt;" only becomes "<" after it
+ */
+function cleanCaptionText(text, { escaped = true } = {}) {
+  const unmarked = (escaped ? decodeEntities(text) : text).replace(CAPTION_MARKUP, '');
+  const decoded = escaped ? decodeEntities(unmarked) : unmarked;
+  return decoded.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse srv1 caption XML: <text start="1.23" dur="4.56">...</text>, times in seconds
+ * A missing dur lasts until the next caption starts
+ * @returns {array} Segments with offset and duration in milliseconds
+ */
+function parseSrv1Captions(xml) {
+  const captions = [...xml.matchAll(/<text\b([^>]*)>([\s\S]*?)<\/text>/g)].map(([, attributes, text]) => ({
+    start: parseFloat(attributes.match(/\bstart="([\d.]+)"/)?.[1]),
+    dur: parseFloat(attributes.match(/\bdur="([\d.]+)"/)?.[1]),
+    text: cleanCaptionText(text),
+  }));
+
+  return captions
+    .map((caption, index) => {
+      const next = captions[index + 1];
+      const durationSec = Number.isFinite(caption.dur) ? caption.dur : next ? next.start - caption.start : 0;
+
+      return {
+        text: caption.text,
+        offset: Math.round(caption.start * 1000),
+        duration: Math.max(0, Math.round(durationSec * 1000)),
+      };
+    })
+    .filter((segment) => segment.text && Number.isFinite(segment.offset));
+}
+
+/**
+ * Parse json3 captions: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+ * Events without text (window setup, line breaks) are skipped
+ * @returns {array} Segments with offset and duration in milliseconds
+ */
+function parseJson3Captions(data) {
+  return (data?.events || [])
+    .filter((event) => Array.isArray(event.segs))
+    .map((event) => ({
+      text: cleanCaptionText(event.segs.map((seg) => seg.utf8 || '').join(''), { escaped: false }),
+      offset: event.tStartMs || 0,
+      duration: event.dDurationMs || 0,
+    }))
+    .filter((segment) => segment.text);
+}
+
+/**
+ * Pick the caption track to scrape
+ * Manual captions win over auto-generated (asr) ones in the same language, even
+ * over an exact language match ('en-GB' manual beats 'en' auto-generated). Without
+ * a language, the spoken language (that of the auto-generated track) is preferred.
+ * @param {object[]} tracks - Caption tracks from fetchCaptionTracks
+ * @param {string} [lang] - Requested language code
+ * @returns {object|undefined} Caption track
+ */
+function selectCaptionTrack(tracks, lang) {
+  const manualTracks = tracks.filter((track) => track.kind !== 'asr');
+  const findTrack = (language) => findTrackForLanguage(manualTracks, language) || findTrackForLanguage(tracks, language);
+
+  if (lang) {
+    return findTrack(lang);
+  }
+
+  const spokenLanguage = tracks.find((track) => track.kind === 'asr')?.languageCode;
+  return (spokenLanguage && findTrack(spokenLanguage)) || manualTracks[0] || tracks[0];
+}
+
+/**
+ * Download a caption track, trying each of CAPTION_FORMATS
+ * @returns {Promise<array>} Segments with offset and duration in milliseconds, empty if no format had any
+ */
+async function fetchCaptionSegments(baseUrl) {
+  for (const format of CAPTION_FORMATS) {
+    const url = new URL(baseUrl);
+    url.searchParams.set('fmt', format);
+
+    try {
+      const { data } = await axios.get(url.toString(), { timeout: 10000 });
+      // Either format may come back whatever was asked for: look at the body
+      const segments = typeof data === 'object' && data !== null
+        ? parseJson3Captions(data)
+        : parseSrv1Captions(String(data));
+
+      if (segments.length > 0) return segments;
+    } catch (error) {
+      console.log(`[Transcript] ${format} captions failed: ${error.message}`);
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Fallback method to extract transcript using web scraping
+ * @param {string} videoId - YouTube video ID
+ * @param {string} lang - Optional caption language; see selectCaptionTrack without one
+ * @returns {Promise<object|null>} { segments, language } or null
+ */
+async function getTranscriptFromWebScraping(videoId, lang) {
+  try {
+    const captionTrack = selectCaptionTrack(await fetchCaptionTracks(videoId), lang);
+
+    if (captionTrack?.baseUrl) {
+      const segments = await fetchCaptionSegments(captionTrack.baseUrl);
+
+      if (segments.length > 0) {
+        return { segments, language: captionTrack.languageCode };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.log('Web scraping fallback failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Last-resort method: transcribe the video's locally available audio (see lib/asr)
+ * @param {string} videoId - YouTube video ID
+ * @param {string} lang - Optional language to transcribe in; detected without one
+ * @returns {Promise<object|null>} { segments, language } or null when ASR is off or there's no audio
+ */
+async function getTranscriptFromLocalAudio(videoId, lang) {
+  if (!isASREnabled()) return null;
+
+  const filePath = await findAudioFile(videoId);
+  if (!filePath) return null;
+
+  const engine = getASREngine();
+  const configErrors = engine.validateConfig();
+  if (configErrors.length > 0) {
+    throw new Error(configErrors.join('; '));
+  }
+
+  console.log(`[Transcript] Transcribing ${path.basename(filePath)} with ${engine.name}`);
+  // Speech engines take the base language ('pt' for 'pt-BR')
+  const { segments, language } = await engine.transcribe({ filePath, language: lang?.split('-')[0].toLowerCase() });
+
+  return segments.length > 0 ? { segments, language } : null;
+}
+
+/**
+ * Convert youtube-transcript segments (seconds) to milliseconds,
+ * matching the offset/duration units used by the web-scraping fallback
+ * The library reads the same srv1 XML but leaves its entities escaped
+ * @param {array} segments - Segments from YoutubeTranscript.fetchTranscript
+ * @returns {array} Segments with offset and duration in milliseconds
+ */
+function normalizeLibrarySegments(segments) {
+  if (!Array.isArray(segments)) return segments;
+
+  return segments.map((seg) => ({
+    text: cleanCaptionText(seg.text),
+    offset: Math.round((seg.offset || 0) * 1000),
+    duration: Math.round((seg.duration || 0) * 1000),
+  }));
+}
+
+/**
+ * Get video metadata for fallback summarization
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Object>} Video metadata
+ */
+async function getVideoMetadata(videoId) {
+  try {
+    const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    const response = await axios.get(videoUrl, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      },
+      timeout: 5000
+    });
+
+    // Extract basic metadata from HTML
+    const titleMatch = response.data.match(/<title>([^<]*)<\/title>/);
+    const descriptionMatch = response.data.match(/"description":\s*"([^"]*)"/);
+
+    return {
+      title: titleMatch ? titleMatch[1].replace(' - YouTube', '') : 'Unknown Title',
+      description: descriptionMatch ? descriptionMatch[1] : 'No description available',
+      url: videoUrl
+    };
+  } catch (error) {
+    return {
+      title: 'Unknown Title',
+      description: 'Could not fetch video information',
+      url: `https://www.youtube.com/watch?v=${videoId}`
+    };
+  }
+}
+
+/**
+ * Merge transcript segments into single string with optional timestamps
+ * @param {array} segments - Transcript segments
+ * @param {boolean} includeTimestamps - Include timing info
+ * @returns {string} Merged transcript
+ */
+export function mergeTranscriptSegments(segments, includeTimestamps = false) {
+  if (!segments || !Array.isArray(segments)) return '';
+
+  return segments
+    .map((seg) => {
+      if (includeTimestamps && seg.offset) {
+        return `[${formatTimestamp(seg.offset / 1000)}] ${seg.text}`;
+      }
+      return seg.text;
+    })
+    .join(' ');
+}
+
+/**
+ * Cache key for a transcript; the default track is keyed by the video ID alone
+ */
+function getTranscriptCacheKey(videoId, lang) {
+  return lang ? `${videoId}_${lang}` : videoId;
+}
+
+/**
+ * Read a transcript saved in the database by an earlier fetch
+ * Metadata-only results are only reused for CACHE_TTL_SEC, since captions may be added later
+ * @returns {Promise<object|null>} VideoTranscript record, null when missing or the database is unavailable
+ */
+async function readStoredTranscript(videoId, lang) {
+  try {
+    const { getStoredTranscript } = await import('@/lib/videoStore');
+    const record = await getStoredTranscript(videoId, lang || '');
+
+    if (record?.method === 'metadata-only' && Date.now() - record.fetchedAt.getTime() > CACHE_TTL_SEC * 1000) {
+      return null;
+    }
+    return record;
+  } catch (error) {
+    console.error('[Transcript] Database read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save a fetch result in the database; failures are logged, the transcript is still served
+ */
+async function storeTranscript(videoId, lang, { transcript, rawSegments, language, method, metadata }) {
+  try {
+    const { saveTranscript } = await import('@/lib/videoStore');
+    await saveTranscript({
+      videoId,
+      language: lang || '',
+      method,
+      captionLanguage: language ?? null,
+      transcript,
+      rawSegments,
+      metadata,
+    });
+  } catch (error) {
+    console.error('[Transcript] Database write failed:', error.message);
+  }
+}
+
+/**
+ * Fetch a video transcript: cache, then database, then each YouTube method in turn,
+ * then local audio transcription (method 'local-asr') when it is configured
+ * Falls back to video metadata when none of them yields a transcript
+ * @param {string} videoId - YouTube video ID
+ * @param {object} options - { lang } caption language; the video's first track without it
+ * @returns {Promise<{ transcript: string, rawSegments: object[], available: boolean, method: string, cached: boolean, language?: string | null, metadata?: object }>}
+ */
+export async function fetchTranscript(videoId, { lang } = {}) {
+  // Check cache first
+  const cacheKey = getTranscriptCacheKey(videoId, lang);
+  const cachedData = await transcriptCache.get(cacheKey);
+
+  if (cachedData) {
+    return {
+      transcript: cachedData.transcript,
+      rawSegments: cachedData.rawSegments,
+      language: cachedData.language ?? null,
+      cached: true,
+      available: true,
+      method: cachedData.method || 'cached'
+    };
+  }
+
+  // Concurrent requests for the same video share one fetch
+  return transcriptCache.coalesce(cacheKey, () => loadTranscript(videoId, lang, cacheKey));
+}
+
+/**
+ * Read a transcript from the database or fetch it from YouTube, then cache it;
+ * fetchTranscript without the cache lookup
+ */
+async function loadTranscript(videoId, lang, cacheKey) {
+  const stored = await readStoredTranscript(videoId, lang);
+
+  if (stored?.method === 'metadata-only') {
+    return {
+      transcript: '',
+      rawSegments: [],
+      cached: true,
+      available: false,
+      method: stored.method,
+      metadata: stored.metadata,
+    };
+  }
+
+  if (stored) {
+    await transcriptCache.set(
+      cacheKey,
+      { transcript: stored.transcript, rawSegments: stored.rawSegments, language: stored.captionLanguage, method: stored.method },
+      CACHE_TTL_SEC
+    );
+
+    return {
+      transcript: stored.transcript,
+      rawSegments: stored.rawSegments,
+      language: stored.captionLanguage,
+      cached: true,
+      available: true,
+      method: stored.method,
+    };
+  }
+
+  let segments = null;
+  let language = null;
+  let method = 'unknown';
+
+  // Method 1: Try youtube-transcript library
+  try {
+    console.log(`[Transcript] Trying youtube-transcript library for video ${videoId}${lang ? ` (${lang})` : ''}`);
+    const librarySegments = await YoutubeTranscript.fetchTranscript(videoId, lang ? { lang } : undefined);
+    segments = normalizeLibrarySegments(librarySegments);
+    language = librarySegments?.[0]?.lang || lang || null;
+    method = 'youtube-transcript';
+  } catch (error) {
+    console.log(`[Transcript] youtube-transcript failed: ${error.message}`);
+  }
+
+  // Method 2: Try web scraping fallback
+  if (!segments || segments.length === 0) {
+    try {
+      console.log(`[Transcript] Trying web scraping fallback for video ${videoId}`);
+      const scraped = await getTranscriptFromWebScraping(videoId, lang);
+      if (scraped) {
+        ({ segments, language } = scraped);
+        method = 'web-scraping';
+      }
+    } catch (error) {
+      console.log(`[Transcript] Web scraping failed: ${error.message}`);
+    }
+  }
+
+  // Method 3: Transcribe local audio, when a speech-to-text engine is configured
+  if (!segments || segments.length === 0) {
+    try {
+      const transcribed = await getTranscriptFromLocalAudio(videoId, lang);
+      if (transcribed) {
+        ({ segments, language } = transcribed);
+        method = 'local-asr';
+      }
+    } catch (error) {
+      console.log(`[Transcript] Local transcription failed: ${error.message}`);
+    }
+  }
+
+  // Method 4: Get video metadata for AI summarization fallback
+  if (!segments || segments.length === 0) {
+    console.log(`[Transcript] Getting video metadata for AI fallback for video ${videoId}`);
+    const metadata = await getVideoMetadata(videoId);
+    await storeTranscript(videoId, lang, { transcript: '', rawSegments: [], method: 'metadata-only', metadata });
+
+    return {
+      transcript: '',
+      rawSegments: [],
+      cached: false,
+      available: false,
+      method: 'metadata-only',
+      metadata,
+    };
+  }
+
+  return saveFetchedTranscript(videoId, lang, { segments, language, method });
+}
+
+/**
+ * Cache and store freshly fetched segments, replacing whatever was there
+ * @returns {Promise<object>} fetchTranscript result
+ */
+async function saveFetchedTranscript(videoId, lang, { segments, language, method }) {
+  // Merge segments into single string
+  const transcript = mergeTranscriptSegments(segments, true);
+
+  // Cache and store the result
+  await transcriptCache.set(
+    getTranscriptCacheKey(videoId, lang),
+    { transcript, rawSegments: segments, language, method },
+    CACHE_TTL_SEC
+  );
+  await storeTranscript(videoId, lang, { transcript, rawSegments: segments, language, method });
+
+  return {
+    transcript,
+    rawSegments: segments,
+    language,
+    cached: false,
+    available: true,
+    method: method
+  };
+}
+
+/**
+ * Transcribe a video's local audio now, replacing its cached and stored transcript
+ * For newly uploaded audio: an earlier metadata-only result would otherwise be reused
+ * @param {string} videoId - YouTube video ID
+ * @param {object} options - { lang } language to transcribe in; detected without one
+ * @returns {Promise<object>} fetchTranscript result
+ * @throws When ASR is off, there's no audio, or the engine fails or hears no speech
+ */
+export async function transcribeLocalAudio(videoId, { lang } = {}) {
+  const transcribed = await getTranscriptFromLocalAudio(videoId, lang);
+  if (!transcribed) {
+    throw new Error(isASREnabled() ? 'No audio or no speech found for this video' : 'Local transcription is not enabled (ASR_ENGINE)');
+  }
+
+  return saveFetchedTranscript(videoId, lang, { ...transcribed, method: 'local-asr' });
+}
+
+/**
+ * Truncate transcript to safe length for API
+ * @param {string} transcript - Full transcript
+ * @param {number} maxChars - Max characters
+ * @returns {object} { transcript, isTruncated }
+ */
+export function truncateTranscript(transcript, maxChars = MAX_TRANSCRIPT_CHARS) {
+  if (!transcript || transcript.length <= maxChars) {
+    return { transcript, isTruncated: false };
+  }
+
+  // Try to truncate at a sentence boundary
+  const truncated = transcript.substring(0, maxChars);
+  const lastPeriod = truncated.lastIndexOf('.');
+
+  return {
+    transcript: lastPeriod > maxChars * 0.9 ? truncated.substring(0, lastPeriod + 1) : truncated,
+    isTruncated: true,
+  };
+}
+
+/**
+ * Split transcript into chunks that each fit the model limit
+ * Cuts at sentence or [m:ss] timestamp boundaries where possible
+ * @param {string} transcript - Full transcript
+ * @param {number} maxChars - Max characters per chunk
+ * @returns {string[]} Transcript chunks in order
+ */
+export function splitTranscript(transcript, maxChars = MAX_TRANSCRIPT_CHARS) {
+  const chunks = [];
+  let remaining = transcript.trim();
+
+  while (remaining.length > maxChars) {
+    const window = remaining.substring(0, maxChars);
+    const boundary = Math.max(window.lastIndexOf('. '), window.lastIndexOf(' ['), window.lastIndexOf('\n'));
+    const cut = boundary > maxChars * 0.5 ? boundary + 1 : maxChars;
+
+    chunks.push(remaining.substring(0, cut).trim());
+    remaining = remaining.substring(cut).trim();
+  }
+
+  if (remaining) {
+    chunks.push(remaining);
+  }
+
+  return chunks;
+}
+
+/**
+ * Build timestamped transcript text for prompts that need to cite positions
+ * Emits a [m:ss] marker at most every TIMESTAMP_MARKER_INTERVAL_SEC to keep prompts compact
+ * @param {array} segments - rawSegments from /api/transcript (offset/duration in ms)
+ * @returns {object} { text, durationSec }
+ */
+export function buildTimestampedText(segments) {
+  const lines = [];
+  let lastMarkerSec = -Infinity;
+  let durationSec = 0;
+
+  for (const seg of segments) {
+    if (!seg || typeof seg.text !== 'string' || !seg.text.trim()) continue;
+
+    const startSec = Math.max(0, (Number(seg.offset) || 0) / 1000);
+    durationSec = Math.max(durationSec, startSec + (Number(seg.duration) || 0) / 1000);
+
+    if (startSec - lastMarkerSec >= TIMESTAMP_MARKER_INTERVAL_SEC || lines.length === 0) {
+      lines.push(`[${formatTimestamp(startSec)}] ${seg.text.trim()}`);
+      lastMarkerSec = startSec;
+    } else {
+      lines[lines.length - 1] += ` ${seg.text.trim()}`;
+    }
+  }
+
+  return { text: lines.join('\n'), durationSec: Math.ceil(durationSec) };
+}
@@ -0,0 +1,136 @@
+/**
+ * Transcript export as subtitle, text and Markdown files
+ * Renders rawSegments (offset and duration in milliseconds) from lib/transcript
+ */
+import { formatTimestamp } from '@/lib/videoUtils';
+
+export const TRANSCRIPT_EXPORT_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', label: 'SubRip (.srt)' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', label: 'WebVTT (.vtt)' },
+  txt: { contentType: 'text/plain; charset=utf-8', label: 'Text (.txt)' },
+  md: { contentType: 'text/markdown; charset=utf-8', label: 'Markdown (.md)' },
+};
+
+// Cues without a duration last until the next one, or this long for the last one
+const DEFAULT_CUE_MS = 2000;
+
+// Markdown paragraphs break at a pause this long, or at a sentence end once this long
+const PARAGRAPH_PAUSE_MS = 2000;
+const PARAGRAPH_TARGET_MS = 45000;
+
+/**
+ * Subtitle clock time: 01:02:03,456 (SRT) or 01:02:03.456 (WebVTT)
+ */
+function formatCueTime(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Segments with text, in order, with start and end times in milliseconds
+ */
+function toCues(segments) {
+  const ordered = segments
+    .filter((seg) => seg && typeof seg.text === 'string' && seg.text.trim())
+    .map((seg) => ({ text: seg.text.trim(), start: Math.max(0, Number(seg.offset) || 0), duration: Number(seg.duration) || 0 }))
+    .sort((a, b) => a.start - b.start);
+
+  return ordered.map((cue, index) => {
+    const next = ordered[index + 1];
+    const end = cue.duration > 0 ? cue.start + cue.duration : next ? next.start : cue.start + DEFAULT_CUE_MS;
+    return { text: cue.text, start: cue.start, end: Math.max(end, cue.start + 1) };
+  });
+}
+
+function exportSrt(cues) {
+  return cues
+    .map((cue, index) => `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+}
+
+function exportVtt(cues) {
+  // Cue text is parsed for markup, so the characters it uses must be escaped
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  return ['WEBVTT\n', ...cues.map((cue) => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${escape(cue.text)}\n`)].join('\n');
+}
+
+function exportText(cues) {
+  return cues.map((cue) => `[${formatTimestamp(cue.start / 1000)}] ${cue.text}`).join('\n') + '\n';
+}
+
+/**
+ * Group cues into paragraphs at pauses, or at sentence ends once a paragraph is long enough
+ */
+function groupParagraphs(cues) {
+  const paragraphs = [];
+
+  for (const cue of cues) {
+    const current = paragraphs[paragraphs.length - 1];
+    const last = current?.cues[current.cues.length - 1];
+    const paused = last && cue.start - last.end >= PARAGRAPH_PAUSE_MS;
+    const longEnough = current && cue.start - current.start >= PARAGRAPH_TARGET_MS && /[.!?]["')\]]*$/.test(last.text);
+
+    if (!current || paused || longEnough) {
+      paragraphs.push({ start: cue.start, cues: [cue] });
+    } else {
+      current.cues.push(cue);
+    }
+  }
+
+  return paragraphs;
+}
+
+function exportMarkdown(cues, { title, videoId }) {
+  const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+  const escape = (text) => text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+  const paragraphs = groupParagraphs(cues).map(({ start, cues: paragraphCues }) => {
+    const startSec = Math.floor(start / 1000);
+    const text = paragraphCues.map((cue) => escape(cue.text)).join(' ');
+    return `[${formatTimestamp(startSec)}](${videoUrl}&t=${startSec}s) ${text}`;
+  });
+
+  return [`# ${escape(title || 'Transcript')}`, `Source: <${videoUrl}>`, ...paragraphs].join('\n\n') + '\n';
+}
+
+/**
+ * Render a transcript in an export format
+ * @param {object[]} segments - rawSegments from fetchTranscript
+ * @param {string} format - Key of TRANSCRIPT_EXPORT_FORMATS
+ * @param {object} options - { title, videoId } for the Markdown heading and timestamp links
+ * @returns {string} File contents
+ */
+export function exportTranscript(segments, format, { title, videoId } = {}) {
+  const cues = toCues(segments);
+
+  switch (format) {
+    case 'srt':
+      return exportSrt(cues);
+    case 'vtt':
+      return exportVtt(cues);
+    case 'txt':
+      return exportText(cues);
+    case 'md':
+      return exportMarkdown(cues, { title, videoId });
+    default:
+      throw new Error(`Unknown transcript export format "${format}"`);
+  }
+}
+
+/**
+ * Download filename for an exported transcript
+ * @param {string} videoId - YouTube video ID
+ * @param {string|null} language - Caption language of the transcript
+ * @param {string} format - Key of TRANSCRIPT_EXPORT_FORMATS, also the extension
+ */
+export function getTranscriptFilename(videoId, language, format) {
+  // The language comes from YouTube: keep only what belongs in a language tag
+  const suffix = language ? `-${String(language).replace(/[^a-z0-9-]/gi, '')}` : '';
+  return `edujoy-transcript-${videoId}${suffix}.${format}`;
+}
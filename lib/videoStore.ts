@@ -0,0 +1,95 @@
+/**
+ * Video Store with Prisma + Neon PostgreSQL
+ * Keeps fetched transcripts and generated summaries across restarts;
+ * the cache (lib/cache) stays in front of it for fast reads
+ */
+
+import { prisma } from './prisma';
+
+export interface TranscriptRecord {
+  videoId: string;
+  language: string;
+  method: string;
+  captionLanguage: string | null;
+  transcript: string;
+  rawSegments: unknown[];
+  metadata?: Record<string, unknown> | null;
+}
+
+export interface SummaryKey {
+  videoId: string;
+  kind: string;
+  language: string;
+  transcriptLanguage: string;
+  provider: string;
+  model: string;
+  promptVersion: number;
+}
+
+export interface SummaryRecord extends SummaryKey {
+  contentType: string;
+  result: Record<string, unknown>;
+  promptTokens: number;
+  outputTokens: number;
+  generatedAt: Date;
+}
+
+/**
+ * Get the stored transcript of a video in a caption language ("" for the default track)
+ */
+export async function getStoredTranscript(videoId: string, language: string) {
+  return prisma.videoTranscript.findUnique({
+    where: { videoId_language: { videoId, language } },
+  });
+}
+
+/**
+ * Save a fetched transcript, replacing any earlier one for the same video and language
+ */
+export async function saveTranscript(record: TranscriptRecord): Promise<void> {
+  const { videoId, language, ...data } = record;
+  const fields = { ...data, metadata: data.metadata ?? undefined, fetchedAt: new Date() };
+
+  await prisma.videoTranscript.upsert({
+    where: { videoId_language: { videoId, language } },
+    update: fields,
+    create: { videoId, language, ...fields },
+  });
+
+  console.log(`✅ Stored ${record.method} transcript for: ${videoId}${language ? ` (${language})` : ''}`);
+}
+
+/**
+ * Get the summary generated for exactly this prompt version and model
+ */
+export async function getStoredSummary(key: SummaryKey) {
+  return prisma.videoSummary.findUnique({
+    where: { videoId_kind_language_transcriptLanguage_provider_model_promptVersion: key },
+  });
+}
+
+/**
+ * Get the newest summary for a video and languages, whatever model or prompt version made it
+ */
+export async function getLatestStoredSummary({ videoId, kind, language, transcriptLanguage }: Pick<SummaryKey, 'videoId' | 'kind' | 'language' | 'transcriptLanguage'>) {
+  return prisma.videoSummary.findFirst({
+    where: { videoId, kind, language, transcriptLanguage },
+    orderBy: { generatedAt: 'desc' },
+  });
+}
+
+/**
+ * Save a generated summary, replacing an earlier one with the same key
+ */
+export async function saveSummary(record: SummaryRecord): Promise<void> {
+  const { contentType, result, promptTokens, outputTokens, generatedAt, ...key } = record;
+  const fields = { contentType, result, promptTokens, outputTokens, generatedAt };
+
+  await prisma.videoSummary.upsert({
+    where: { videoId_kind_language_transcriptLanguage_provider_model_promptVersion: key },
+    update: fields,
+    create: { ...key, ...fields },
+  });
+
+  console.log(`✅ Stored ${record.kind} for: ${record.videoId} (${record.model}, ${promptTokens + outputTokens} tokens)`);
+}
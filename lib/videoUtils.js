@@ -51,3 +51,38 @@ export function isCacheExpired(timestamp, ttlSec) {
   const now = Date.now();
   return now - timestamp > ttlSec * 1000;
 }
+
+/**
+ * Format seconds as a transcript timestamp
+ * Example: 75 -> 1:15, 3725 -> 62:05
+ * @param {number} totalSeconds - Position in seconds
+ * @returns {string} Timestamp in m:ss format
+ */
+export function formatTimestamp(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+  const minutes = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a transcript timestamp back to seconds
+ * Handles: m:ss, h:mm:ss and plain numbers (optionally wrapped in brackets)
+ * @param {string|number} timestamp - Timestamp to parse
+ * @returns {number|null} Seconds or null if not a timestamp
+ */
+export function parseTimestamp(timestamp) {
+  if (typeof timestamp === 'number') {
+    return Number.isFinite(timestamp) && timestamp >= 0 ? timestamp : null;
+  }
+  if (typeof timestamp !== 'string') return null;
+
+  const match = timestamp.trim().match(/^\[?(?:(\d+):)?(\d+):(\d{2})\]?$/);
+  if (!match) {
+    const plain = Number(timestamp);
+    return Number.isFinite(plain) && plain >= 0 ? plain : null;
+  }
+
+  const hours = match[1] ? parseInt(match[1], 10) : 0;
+  return hours * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+}
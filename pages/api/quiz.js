@@ -0,0 +1,262 @@
+/**
+ * API endpoint to generate a comprehension quiz from a video transcript
+ * POST /api/quiz
+ * Body: { videoId, count? }
+ *
+ * Returns { questions, isTruncated, parts, cached } where each question is
+ * { id, type: 'multiple_choice' | 'short_answer', question, options, answer,
+ *   explanation, timestamp: 'm:ss', startSec }.
+ * Short-answer questions have an empty options array. Scoring happens on the client.
+ * Quizzes are cached per video and count for every learner, so they are built only
+ * from what the server fetches: the transcript and the title from lib/videoMetadata.
+ */
+import { cache } from '@/lib/cache';
+import { formatTimestamp, parseTimestamp } from '@/lib/videoUtils';
+import { withRateLimit } from '@/lib/rateLimiter';
+import {
+  MAX_TRANSCRIPT_CHARS,
+  MAX_SUMMARY_CHUNKS,
+  fetchTranscript,
+  splitTranscript,
+  buildTimestampedText,
+} from '@/lib/transcript';
+import { fetchVideoMetadata, getVideoUrl } from '@/lib/videoMetadata';
+import { getLLMProvider, generateStructured } from '@/lib/llm';
+import { withUsageContext } from '@/lib/llm/usage';
+import {
+  rejectInvalidLLMConfig,
+  rejectOverBudget,
+  sendValidationFailure,
+  sendLLMError,
+} from '@/lib/llm/responses';
+
+const CACHE_TTL_SEC = parseInt(process.env.SUMMARY_CACHE_TTL_SEC || '86400', 10);
+const MIN_QUESTIONS = 5;
+const MAX_QUESTIONS = 10;
+const DEFAULT_QUESTIONS = 6;
+const QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+const MULTIPLE_CHOICE_OPTIONS = 4;
+
+const quizCache = cache.namespace('quiz');
+
+/**
+ * Schema for one quiz part with an exact number of questions
+ */
+function buildQuizSchema(count) {
+  return {
+    type: 'object',
+    required: ['questions'],
+    properties: {
+      questions: {
+        type: 'array',
+        minItems: count,
+        maxItems: count,
+        items: {
+          type: 'object',
+          required: ['type', 'question', 'options', 'answer', 'explanation', 'timestamp'],
+          properties: {
+            type: { type: 'string', enum: QUESTION_TYPES },
+            question: { type: 'string', minLength: 5, maxLength: 400 },
+            options: {
+              type: 'array',
+              maxItems: MULTIPLE_CHOICE_OPTIONS,
+              items: { type: 'string', minLength: 1, maxLength: 200 },
+            },
+            answer: { type: 'string', minLength: 1, maxLength: 200 },
+            explanation: { type: 'string', minLength: 1, maxLength: 600 },
+            timestamp: { type: 'string', minLength: 4, maxLength: 8 },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Checks the schema can't express: option counts, answers among the options,
+ * timestamps that exist in the transcript
+ * @param {number} durationSec - Transcript length, used to reject invented timestamps
+ */
+function createQuizValidator(durationSec) {
+  return (data) => {
+    const errors = [];
+
+    data.questions.forEach((question, index) => {
+      const path = `response.questions[${index}]`;
+
+      if (question.type === 'multiple_choice') {
+        if (question.options.length !== MULTIPLE_CHOICE_OPTIONS) {
+          errors.push(`${path}.options: multiple_choice needs exactly ${MULTIPLE_CHOICE_OPTIONS} options`);
+        } else if (!question.options.includes(question.answer)) {
+          errors.push(`${path}.answer: must be copied exactly from one of the options`);
+        }
+      } else if (question.options.length > 0) {
+        errors.push(`${path}.options: must be empty for short_answer`);
+      }
+
+      const startSec = parseTimestamp(question.timestamp);
+      if (startSec === null) {
+        errors.push(`${path}.timestamp: must be a m:ss timestamp from the transcript`);
+      } else if (startSec > durationSec) {
+        errors.push(`${path}.timestamp: ${question.timestamp} is past the end of the transcript`);
+      }
+    });
+
+    return errors;
+  };
+}
+
+/**
+ * Build system and user prompts for one part of the quiz
+ */
+function buildQuizPrompt(title, content, videoUrl, count, options = {}) {
+  const systemPrompt = `You are an expert learning assistant writing a comprehension quiz. The provided video transcript contains [m:ss] timestamps. Return a JSON object with this exact key:
+- questions: An array of exactly ${count} questions in video order, each an object with:
+  - type: "multiple_choice" or "short_answer"
+  - question: The question text
+  - options: For multiple_choice, exactly ${MULTIPLE_CHOICE_OPTIONS} answer options; for short_answer, an empty array
+  - answer: The correct answer. For multiple_choice, copy the correct option exactly. For short_answer, a short phrase of a few words
+  - explanation: One or two sentences explaining why the answer is correct, based on the transcript
+  - timestamp: The timestamp where the answer is covered, copied exactly from a [m:ss] marker in the transcript (without brackets)
+
+Mix both question types, with mostly multiple_choice. Test understanding of the main ideas rather than trivia, and only ask about what the transcript actually says. Respond with ONLY a valid JSON object, no additional text or markdown.`;
+
+  const userPrompt = `Video Title: "${title}"
+URL: ${videoUrl}
+${options.totalParts > 1 ? `\nThis is part ${options.part} of ${options.totalParts} of the transcript.\n` : ''}
+Write exactly ${count} questions.
+
+Timestamped transcript:
+${content}`;
+
+  return { systemPrompt, userPrompt };
+}
+
+/**
+ * Spread the question count over transcript parts, earlier parts first
+ * @returns {number[]} Questions per part
+ */
+function distributeQuestions(count, parts) {
+  return Array.from({ length: parts }, (_, i) => Math.floor(count / parts) + (i < count % parts ? 1 : 0));
+}
+
+/**
+ * Clean up model questions and attach parsed start times
+ */
+function normalizeQuestion(question) {
+  const startSec = parseTimestamp(question.timestamp);
+
+  return {
+    type: question.type,
+    question: question.question.trim(),
+    options: question.type === 'multiple_choice' ? question.options.map((option) => option.trim()) : [],
+    answer: question.answer.trim(),
+    explanation: question.explanation.trim(),
+    timestamp: formatTimestamp(startSec),
+    startSec,
+  };
+}
+
+/**
+ * Generate the quiz, one model call per transcript part
+ * Long transcripts are split like summaries; parts past MAX_SUMMARY_CHUNKS or
+ * past the question count are left out
+ */
+async function generateQuiz(title, segments, videoUrl, count) {
+  const { text, durationSec } = buildTimestampedText(segments);
+  const allChunks = splitTranscript(text, MAX_TRANSCRIPT_CHARS);
+  const chunks = allChunks.slice(0, Math.min(MAX_SUMMARY_CHUNKS, count));
+  const counts = distributeQuestions(count, chunks.length);
+  const validate = createQuizValidator(durationSec);
+  const questions = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    const { systemPrompt, userPrompt } = buildQuizPrompt(title, chunks[i], videoUrl, counts[i], {
+      part: i + 1,
+      totalParts: chunks.length,
+    });
+    const quizResult = await generateStructured(
+      getLLMProvider(),
+      { task: 'quiz', schema: buildQuizSchema(counts[i]), systemPrompt, userPrompt, maxOutputTokens: 4096 },
+      { validate }
+    );
+
+    if (!quizResult.success) {
+      return quizResult;
+    }
+
+    questions.push(...quizResult.data.questions.map(normalizeQuestion));
+  }
+
+  return {
+    success: true,
+    data: {
+      questions: questions
+        .sort((a, b) => a.startSec - b.startSec)
+        .map((question, index) => ({ id: index + 1, ...question })),
+      parts: chunks.length,
+      isTruncated: allChunks.length > chunks.length,
+    },
+  };
+}
+
+async function handler(req, res) {
+  // Only POST allowed
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Validate environment
+  if (rejectInvalidLLMConfig(res)) return;
+
+  const { videoId, count = DEFAULT_QUESTIONS } = req.body;
+
+  // Validate input
+  if (!videoId || typeof videoId !== 'string' || !/^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
+    return res.status(400).json({ error: 'Missing or invalid videoId' });
+  }
+
+  if (!Number.isInteger(count) || count < MIN_QUESTIONS || count > MAX_QUESTIONS) {
+    return res.status(400).json({ error: `count must be an integer from ${MIN_QUESTIONS} to ${MAX_QUESTIONS}` });
+  }
+
+  try {
+    const cacheKey = `${videoId}_${count}`;
+    const cached = await quizCache.get(cacheKey);
+    if (cached) {
+      return res.status(200).json({ ...cached, cached: true });
+    }
+
+    if (await rejectOverBudget(res)) return;
+
+    // Questions must point at real moments in the video, so metadata alone isn't enough
+    const [videoMetadata, transcriptResult] = await Promise.all([fetchVideoMetadata(videoId), fetchTranscript(videoId)]);
+    if (!videoMetadata) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!transcriptResult.available || transcriptResult.rawSegments.length === 0) {
+      return res.status(422).json({
+        error: 'No transcript available for this video. A quiz needs captions to work from.',
+      });
+    }
+
+    console.log(`[API] Generating ${count}-question quiz for video ${videoId}`);
+    const quizResult = await generateQuiz(videoMetadata.title, transcriptResult.rawSegments, getVideoUrl(videoId), count);
+
+    if (!quizResult.success) {
+      return sendValidationFailure(res, quizResult, videoId);
+    }
+
+    await quizCache.set(cacheKey, quizResult.data, CACHE_TTL_SEC);
+
+    return res.status(200).json({ ...quizResult.data, cached: false });
+  } catch (error) {
+    return sendLLMError(res, error, {
+      label: 'Quiz',
+      videoId,
+      fallbackMessage: 'Failed to generate quiz. Please try again.',
+    });
+  }
+}
+
+export default withRateLimit('quiz', withUsageContext('quiz', handler));
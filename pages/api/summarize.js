@@ -1,71 +1,144 @@
 /**
- * API endpoint to summarize transcript using Gemini API
+ * API endpoint to summarize transcript using the configured LLM provider
  * POST /api/summarize
  *
  * Request body:
  * {
- *   videoId: string,
- *   transcript: string,
- *   title: string,
- *   videoUrl: string
+ *   videoId?: string, // results for a video are cached and shared, and built from the server's transcript
+ *   transcript: string, // only used without videoId
+ *   title: string, // only used without videoId, as is videoUrl
+ *   videoUrl: string,
+ *   mode?: 'summary' | 'chapters',
+ *   rawSegments?: Array<{ text, offset, duration }>, // for 'chapters' without videoId
+ *   stream?: boolean, // summary mode only, responds with Server-Sent Events
+ *   language?: string, // output language code, default 'en'
+ *   transcriptLanguage?: string, // caption language the transcript was fetched in (part of the cache key)
+ *   refresh?: boolean, // ignore any cached result and generate a new one
+ *   email?: string // learner's email, for the identified rate limit tier and token accounting
  * }
+ *
+ * Results for a videoId are generated from the transcript (or metadata) that
+ * lib/transcript fetches for it and the title lib/videoMetadata looks up, never
+ * from the body, as everyone gets them; without a videoId the body's content is
+ * used and nothing is cached.
+ *
+ * Results are cached for SUMMARY_CACHE_TTL_SEC. After that they are stale: for
+ * SUMMARY_STALE_TTL_SEC more they are still served (with stale: true) while a new
+ * one is generated in the background. Cached results remember the prompt version
+ * and model that produced them and are ignored once either changes. Results are
+ * also stored in the database (VideoSummary, with the tokens they cost), which is
+ * read when the cache misses, so they survive restarts and cache evictions.
+ *
+ * Once the LLM token budget is spent (see lib/llm/usage), nothing new is generated:
+ * a cached result of any age or version is served with budgetExhausted: true, or
+ * else a summary built from the video metadata alone (contentType 'metadata-only',
+ * no takeaways or actions). Chapters have no such fallback and answer 503.
+ *
+ * Transcripts longer than MAX_TRANSCRIPT_CHARS are split into chunks,
+ * summarized one by one and merged (up to MAX_SUMMARY_CHUNKS chunks).
+ *
+ * With stream: true the response is text/event-stream with events:
+ *   progress { part, totalParts }  - a transcript chunk was summarized
+ *   summary  { text }              - next piece of the summary paragraph
+ *   takeaway { index, text }       - a complete takeaway
+ *   action   { index, text }       - a complete action item
+ *   done     { ...result }         - final result, same shape as the JSON response
+ *   error    { error }             - generation failed
+ *
+ * The model is chosen with LLM_PROVIDER (see lib/llm).
  */
 import { cache } from '@/lib/cache';
-import { generateCacheKey } from '@/lib/videoUtils';
-import { checkRateLimit, getClientIp } from '@/lib/rateLimiter';
+import { parseTimestamp } from '@/lib/videoUtils';
+import { isValidLanguageCode, getLanguageName } from '@/lib/languages';
+import {
+  MAX_TRANSCRIPT_CHARS,
+  MAX_SUMMARY_CHUNKS,
+  truncateTranscript,
+  splitTranscript,
+  buildTimestampedText,
+  fetchTranscript,
+} from '@/lib/transcript';
+import { fetchVideoMetadata, getVideoUrl } from '@/lib/videoMetadata';
+import { withRateLimit } from '@/lib/rateLimiter';
+import { startSSE, sendSSE } from '@/lib/sse';
+import { getLLMProvider, generateStructured } from '@/lib/llm';
+import { getBudgetStatus, measureUsage, withUsageContext } from '@/lib/llm/usage';
+import {
+  rejectInvalidLLMConfig,
+  sendBudgetExhausted,
+  sendValidationFailure,
+  sendLLMError,
+  mapProviderError,
+} from '@/lib/llm/responses';
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
-const MAX_TRANSCRIPT_CHARS = parseInt(process.env.MAX_TRANSCRIPT_CHARS || '120000', 10);
 const CACHE_TTL_SEC = parseInt(process.env.SUMMARY_CACHE_TTL_SEC || '86400', 10);
-const RATE_LIMIT_REQUESTS = 10;
-const RATE_LIMIT_WINDOW_SEC = 60;
-
-/**
- * Validate environment variables
- */
-function validateEnv() {
-  const errors = [];
-
-  if (!GEMINI_API_KEY) {
-    errors.push('GEMINI_API_KEY is not set in environment variables');
-  }
-
-  if (errors.length > 0) {
-    return {
-      valid: false,
-      errors,
-    };
-  }
-
-  return { valid: true };
-}
-
-/**
- * Truncate transcript to safe length for API
- * @param {string} transcript - Full transcript
- * @param {number} maxChars - Max characters
- * @returns {object} { transcript, isTruncated }
- */
-function truncateTranscript(transcript, maxChars = MAX_TRANSCRIPT_CHARS) {
-  if (!transcript || transcript.length <= maxChars) {
-    return { transcript, isTruncated: false };
-  }
+const SUMMARY_MODES = ['summary', 'chapters'];
+const SUMMARY_ERROR_MESSAGE = 'Failed to generate summary. Please try again.';
+const DEFAULT_OUTPUT_LANGUAGE = 'en';
+const VIDEO_ID_PATTERN = /^[a-zA-Z0-9_-]{11}$/;
+
+const SUMMARY_STALE_TTL_SEC = parseInt(process.env.SUMMARY_STALE_TTL_SEC || '604800', 10);
+
+// Bump when prompts or the result shape change, so cached results are regenerated
+const PROMPT_VERSION = 2;
+
+const summaryCache = cache.namespace('summary');
+
+const JSON_FORMAT_INSTRUCTION = 'Respond with ONLY a valid JSON object, no additional text or markdown.';
+const LINE_FORMAT_INSTRUCTION = `Do not respond with JSON. Instead write the same fields as plain text lines, in this order and with no markdown:
+SUMMARY: <the whole summary on a single line>
+TAKEAWAY: <one takeaway> (one line per takeaway)
+ACTION: <one action item> (one line per action item)`;
+
+// Expected model output, enforced by generateStructured (see lib/llm/schema.js)
+const TEXT_ITEM = { type: 'string', minLength: 1, maxLength: 400 };
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'takeaways', 'actions'],
+  properties: {
+    summary: { type: 'string', minLength: 40, maxLength: 1200 },
+    takeaways: { type: 'array', items: TEXT_ITEM, minItems: 5, maxItems: 5 },
+    actions: { type: 'array', items: TEXT_ITEM, minItems: 2, maxItems: 3 },
+  },
+};
+const CHUNK_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'takeaways', 'actions'],
+  properties: {
+    summary: { type: 'string', minLength: 1, maxLength: 1200 },
+    takeaways: { type: 'array', items: TEXT_ITEM, maxItems: 5 },
+    actions: { type: 'array', items: TEXT_ITEM, maxItems: 3 },
+  },
+};
+const CHAPTERS_SCHEMA = {
+  type: 'object',
+  required: ['chapters'],
+  properties: {
+    chapters: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['start', 'title', 'gist'],
+        properties: {
+          start: { type: 'string', minLength: 4, maxLength: 8 },
+          title: { type: 'string', minLength: 1, maxLength: 100 },
+          gist: { type: 'string', minLength: 1, maxLength: 400 },
+        },
+      },
+    },
+  },
+};
 
-  // Try to truncate at a sentence boundary
-  const truncated = transcript.substring(0, maxChars);
-  const lastPeriod = truncated.lastIndexOf('.');
-
-  return {
-    transcript: lastPeriod > maxChars * 0.9 ? truncated.substring(0, lastPeriod + 1) : truncated,
-    isTruncated: true,
-  };
-}
+const SUMMARY_LINE = /^\s*\**SUMMARY\**:\s*/i;
+const TAKEAWAY_LINE = /^\s*\**TAKEAWAY\**:\s*/i;
+const ACTION_LINE = /^\s*\**ACTION\**:\s*/i;
 
 /**
- * Build system and user prompts for Gemini
+ * Build system and user prompts for the model
+ * @param {object} options - { part, totalParts } for 'chunk' prompts, { format: 'lines' } for streaming
  */
-function buildPrompt(title, content, videoUrl, contentType = 'transcript') {
+function buildPrompt(title, content, videoUrl, contentType = 'transcript', options = {}) {
   let systemPrompt = '';
   let userPrompt = '';
 
@@ -97,180 +170,505 @@ Video Information:
 ${content}
 
 Note: This video doesn't have available captions/transcript. Please provide an educational summary based on the title and description above.`;
+  } else if (contentType === 'chunk') {
+    systemPrompt = `You are an expert learning assistant. You are given one part of a long video transcript that has been split into several parts. Analyze only this part and return a JSON object with these exact keys:
+- summary: A 3-4 sentence summary of the concepts covered in this part
+- takeaways: An array of up to 5 key takeaways from this part
+- actions: An array of up to 3 suggested action items based on this part
+
+Respond with ONLY a valid JSON object, no additional text or markdown.`;
+
+    userPrompt = `Video Title: "${title}"
+URL: ${videoUrl}
+
+Transcript part ${options.part} of ${options.totalParts}:
+${content}`;
+  } else if (contentType === 'merge') {
+    systemPrompt = `You are an expert learning assistant. You are given partial summaries of consecutive parts of one video, in order. Combine them into a single summary of the whole video and return a JSON object with these exact keys:
+- summary: A 3-4 sentence summary of the main concepts across the whole video
+- takeaways: An array of 5 key takeaways (bullet points), chosen from the most important points of all parts
+- actions: An array of 2-3 suggested action items for the learner
+
+Respond with ONLY a valid JSON object, no additional text or markdown.`;
+
+    userPrompt = `Video Title: "${title}"
+URL: ${videoUrl}
+
+Partial summaries (JSON, in video order):
+${content}`;
+  } else if (contentType === 'chapters') {
+    systemPrompt = `You are an expert learning assistant. The provided video transcript contains [m:ss] timestamps. Split the video into chapters and return a JSON object with this exact key:
+- chapters: An array of chapters in video order, each an object with:
+  - start: The timestamp where the chapter begins, copied exactly from a [m:ss] marker in the transcript (without brackets)
+  - title: A short chapter title (max 8 words)
+  - gist: One sentence describing what the chapter covers
+
+Create one chapter per distinct topic, typically one every 3-10 minutes. Respond with ONLY a valid JSON object, no additional text or markdown.`;
+
+    userPrompt = `Video Title: "${title}"
+URL: ${videoUrl}
+${options.totalParts > 1 ? `\nThis is part ${options.part} of ${options.totalParts} of the transcript.\n` : ''}
+Timestamped transcript:
+${content}`;
+  }
+
+  systemPrompt += `\n\nWrite all text in ${getLanguageName(options.language || DEFAULT_OUTPUT_LANGUAGE)}, even if the source material is in another language. Keep field names and labels in English.`;
+
+  // Streaming reads the response line by line instead of as one JSON object
+  if (options.format === 'lines') {
+    systemPrompt = systemPrompt.replace(JSON_FORMAT_INSTRUCTION, LINE_FORMAT_INSTRUCTION);
   }
 
   return { systemPrompt, userPrompt };
 }
 
 /**
- * Call Google Gemini API with retry logic
+ * Key of a generated result, in the cache and in the database
+ * Includes the transcript and output languages so e.g. English and Indonesian
+ * summaries of the same video are kept separately
+ * @param {string} kind - 'summary' or 'chapters'
+ * @returns {object} { cacheKey, videoId, kind, language, transcriptLanguage }
  */
-async function callGeminiAPI(systemPrompt, userPrompt, retries = 2) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
+function getResultKey(videoId, kind, { language, transcriptLanguage }) {
+  return {
+    cacheKey: `${videoId}_${transcriptLanguage || 'default'}_${language}_${kind}`,
+    videoId,
+    kind,
+    language,
+    transcriptLanguage: transcriptLanguage || '',
+  };
+}
 
-  const payload = {
-    system_instruction: {
-      parts: [{ text: systemPrompt }],
-    },
-    contents: [
-      {
-        parts: [{ text: userPrompt }],
-      },
-    ],
-    generationConfig: {
-      temperature: 0.2,
-      maxOutputTokens: 1024,
-      topP: 0.95,
-      topK: 40,
-    },
+/**
+ * Content to generate from: the server's own transcript and title for a videoId, the body's otherwise
+ * Results for a videoId are shared, so nothing in the request may shape them
+ * @returns {Promise<{ title: string, videoUrl: string, transcript: string, rawSegments: object[], metadata: object | null } | null>}
+ *   null when there's no such video
+ */
+async function getSourceContent({ videoId, title, videoUrl, transcript, rawSegments, metadata, transcriptLanguage }) {
+  if (!videoId) {
+    return { title, videoUrl, transcript, rawSegments, metadata };
+  }
+
+  const [videoMetadata, fetched] = await Promise.all([
+    fetchVideoMetadata(videoId),
+    fetchTranscript(videoId, { lang: transcriptLanguage }),
+  ]);
+  if (!videoMetadata) return null;
+
+  const video = { title: videoMetadata.title, videoUrl: getVideoUrl(videoId) };
+  return fetched.available
+    ? { ...video, transcript: fetched.transcript, rawSegments: fetched.rawSegments, metadata: null }
+    : { ...video, transcript: '', rawSegments: [], metadata: fetched.metadata || null };
+}
+
+/**
+ * Run a prompt through the configured LLM provider, validating the JSON output
+ * @param {string} task - What the prompt asks for ('summary' or 'chapters')
+ * @param {object} schema - Expected output schema
+ * @returns {Promise<object>} Result of generateStructured
+ */
+async function callLLM(task, schema, systemPrompt, userPrompt) {
+  return generateStructured(getLLMProvider(), { task, schema, systemPrompt, userPrompt });
+}
+
+/**
+ * Incremental parser for the line format used when streaming
+ * Emits summary text as it grows and takeaways/actions once each line is complete
+ * @param {function} onEvent - Called with (event, data)
+ * @returns {object} { push(text), end() } where end() returns { summary, takeaways, actions }
+ */
+function createLineStreamParser(onEvent) {
+  const result = { summary: '', takeaways: [], actions: [] };
+  let buffer = '';
+  let sentChars = 0;
+
+  // Send the part of the current summary line that hasn't been sent yet
+  const readSummary = (line) => {
+    const text = line.replace(SUMMARY_LINE, '');
+    if (text.length > sentChars) {
+      onEvent('summary', { text: text.substring(sentChars) });
+      sentChars = text.length;
+    }
+    return text.trim();
   };
 
-  let lastError;
+  const finishLine = (line) => {
+    if (SUMMARY_LINE.test(line)) {
+      result.summary = [result.summary, readSummary(line)].filter(Boolean).join(' ');
+      sentChars = 0;
+      return;
+    }
+
+    const field = TAKEAWAY_LINE.test(line) ? 'takeaways' : ACTION_LINE.test(line) ? 'actions' : null;
+    const text = field && line.replace(field === 'takeaways' ? TAKEAWAY_LINE : ACTION_LINE, '').trim();
 
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-
-        // Handle rate limiting
-        if (response.status === 429) {
-          if (attempt < retries) {
-            const delay = Math.pow(2, attempt) * 1000;
-            await new Promise(resolve => setTimeout(resolve, delay));
-            continue;
-          }
-          throw new Error('Rate limited by Gemini API');
-        }
-
-        // Handle authentication errors
-        if (response.status === 401) {
-          throw new Error('Invalid Gemini API key');
-        }
-
-        // Handle quota exceeded
-        if (response.status === 403) {
-          throw new Error('Gemini API quota exceeded');
-        }
-
-        throw new Error(`Gemini API error (${response.status}): ${errorData.error?.message || 'Unknown error'}`);
+    if (text) {
+      result[field].push(text);
+      onEvent(field === 'takeaways' ? 'takeaway' : 'action', { index: result[field].length - 1, text });
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        finishLine(buffer.substring(0, newline));
+        buffer = buffer.substring(newline + 1);
       }
 
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      lastError = error;
-      if (attempt < retries) {
-        const delay = Math.pow(2, attempt) * 1000;
-        console.warn(`[API] Gemini API attempt ${attempt + 1} failed, retrying in ${delay}ms:`, error.message);
-        await new Promise(resolve => setTimeout(resolve, delay));
+      if (SUMMARY_LINE.test(buffer)) {
+        readSummary(buffer);
       }
+    },
+    end() {
+      finishLine(buffer);
+      buffer = '';
+      return result;
+    },
+  };
+}
+
+/**
+ * Normalize validated summary output
+ * @param {object} data - Model output that passed SUMMARY_SCHEMA or CHUNK_SCHEMA
+ * @returns {object} { summary, takeaways, actions } with trimmed strings
+ */
+function normalizeSummary(data) {
+  return {
+    summary: data.summary.trim(),
+    takeaways: data.takeaways.map((takeaway) => takeaway.trim()),
+    actions: data.actions.map((action) => action.trim()),
+  };
+}
+
+/**
+ * Normalize validated chapters output
+ * @param {object} data - Model output that passed CHAPTERS_SCHEMA
+ * @returns {array} [{ start, title, gist }] with start in seconds, unparseable timestamps dropped
+ */
+function normalizeChapters(data) {
+  return data.chapters
+    .map((chapter) => ({
+      start: parseTimestamp(chapter.start),
+      title: chapter.title.trim(),
+      gist: chapter.gist.trim(),
+    }))
+    .filter((chapter) => chapter.start !== null);
+}
+
+/**
+ * Sort chapters, drop duplicate start times and fill in end times
+ * Each chapter ends where the next one starts; the last ends with the video
+ * @param {array} chapters - Parsed chapters with start in seconds
+ * @param {number} durationSec - Video length from the transcript timings
+ * @returns {array} Ordered [{ start, end, title, gist }]
+ */
+function finalizeChapters(chapters, durationSec) {
+  const ordered = [...chapters]
+    .filter((chapter) => chapter.start <= durationSec)
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter, index, all) => index === 0 || chapter.start > all[index - 1].start);
+
+  return ordered.map((chapter, index) => ({
+    start: chapter.start,
+    end: index < ordered.length - 1 ? ordered[index + 1].start : durationSec,
+    title: chapter.title,
+    gist: chapter.gist,
+  }));
+}
+
+/**
+ * Generate a chapter outline from timestamped transcript segments
+ * Long transcripts are split the same way as summaries and their chapters concatenated
+ * @param {array} segments - rawSegments from /api/transcript
+ * @returns {Promise<object>} { success, data: { chapters, chunks } }
+ */
+async function generateChapters(title, segments, videoUrl, language) {
+  const { text, durationSec } = buildTimestampedText(segments);
+  const { transcript: content, isTruncated } = truncateTranscript(text, MAX_TRANSCRIPT_CHARS * MAX_SUMMARY_CHUNKS);
+  const chunks = splitTranscript(content);
+  const chapters = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    const { systemPrompt, userPrompt } = buildPrompt(title, chunks[i], videoUrl, 'chapters', {
+      part: i + 1,
+      totalParts: chunks.length,
+      language,
+    });
+    const chaptersResult = await callLLM('chapters', CHAPTERS_SCHEMA, systemPrompt, userPrompt);
+
+    if (!chaptersResult.success) {
+      return chaptersResult;
     }
+
+    chapters.push(...normalizeChapters(chaptersResult.data));
   }
 
-  throw lastError || new Error('Failed to call Gemini API');
+  return {
+    success: true,
+    data: {
+      chapters: finalizeChapters(chapters, durationSec),
+      chunks: chunks.length,
+      isTruncated,
+    },
+  };
 }
 
 /**
- * Extract and parse JSON from model response
+ * Summarize a single piece of content with the model
+ * @returns {Promise<object>} { success, data: { summary, takeaways, actions }, rawText } or a validation failure
  */
-function extractJSON(text) {
-  if (!text) return null;
+async function summarizeContent(title, content, videoUrl, contentType, options) {
+  const { systemPrompt, userPrompt } = buildPrompt(title, content, videoUrl, contentType, options);
+  const schema = contentType === 'chunk' ? CHUNK_SCHEMA : SUMMARY_SCHEMA;
+  const result = await callLLM('summary', schema, systemPrompt, userPrompt);
 
-  // Try direct parsing first
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    // Ignore
+  return result.success ? { ...result, data: normalizeSummary(result.data) } : result;
+}
+
+/**
+ * Map step of map-reduce summarization: summarize each chunk in order
+ * @param {string[]} chunks - Transcript chunks from splitTranscript
+ * @param {object} options - { language, onPart } onPart is called with the part number after each chunk
+ * @returns {Promise<object>} { success, data: partial summaries } or a validation failure
+ */
+async function summarizeChunkPartials(title, chunks, videoUrl, { language, onPart } = {}) {
+  const partials = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    const partResult = await summarizeContent(title, chunks[i], videoUrl, 'chunk', {
+      part: i + 1,
+      totalParts: chunks.length,
+      language,
+    });
+
+    if (!partResult.success) {
+      return {
+        ...partResult,
+        error: `Chunk ${i + 1}/${chunks.length}: ${partResult.error}`,
+      };
+    }
+
+    partials.push({ part: i + 1, ...partResult.data });
+    onPart?.(i + 1);
+  }
+
+  return { success: true, data: partials };
+}
+
+/**
+ * Map-reduce summarization for transcripts longer than MAX_TRANSCRIPT_CHARS
+ * Summarizes each chunk in order, then merges the partial results
+ * @param {string[]} chunks - Transcript chunks from splitTranscript
+ * @returns {Promise<object>} Result of summarizeContent for the merged summary
+ */
+async function summarizeChunks(title, chunks, videoUrl, language) {
+  const partialsResult = await summarizeChunkPartials(title, chunks, videoUrl, { language });
+
+  if (!partialsResult.success) {
+    return partialsResult;
   }
 
-  // Try to find JSON block
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) return null;
+  return summarizeContent(title, JSON.stringify(partialsResult.data, null, 2), videoUrl, 'merge', { language });
+}
+
+/**
+ * Version stamped on cached results: prompt version plus the model that produced them
+ */
+function getResultVersion() {
+  const { name, model } = getLLMProvider();
+  return `${PROMPT_VERSION}:${name}:${model}`;
+}
+
+/**
+ * Whether a result generated at generatedAt (ms) is past its fresh period
+ */
+function isStale(generatedAt) {
+  return Date.now() - generatedAt > CACHE_TTL_SEC * 1000;
+}
+
+/**
+ * The database's part of a result key: the same fields without cacheKey
+ */
+function getStoredResultKey({ videoId, kind, language, transcriptLanguage }) {
+  return { videoId, kind, language, transcriptLanguage };
+}
+
+/**
+ * Cache a generated result, kept through its stale period, and store it in the database
+ * @param {object} usage - { promptTokens, outputTokens } spent generating it, from measureUsage
+ */
+async function cacheResult(resultKey, result, usage) {
+  const generatedAt = Date.now();
+
+  await summaryCache.set(
+    resultKey.cacheKey,
+    { version: getResultVersion(), generatedAt, result },
+    CACHE_TTL_SEC + SUMMARY_STALE_TTL_SEC
+  );
 
   try {
-    return JSON.parse(jsonMatch[0]);
-  } catch (e) {
-    console.warn('[API] Failed to parse JSON from response:', text.substring(0, 200));
-    return null;
+    const { saveSummary } = await import('@/lib/videoStore');
+    const { name, model } = getLLMProvider();
+
+    await saveSummary({
+      ...getStoredResultKey(resultKey),
+      provider: name,
+      model,
+      promptVersion: PROMPT_VERSION,
+      contentType: result.contentType,
+      result,
+      ...usage,
+      generatedAt: new Date(generatedAt),
+    });
+  } catch (error) {
+    console.error('[API] Summary database write failed:', { cacheKey: resultKey.cacheKey, error: error.message });
   }
 }
 
 /**
- * Parse Gemini API response
+ * Read a result from the database, for cache misses (e.g. after a restart)
+ * @returns {Promise<object|null>} VideoSummary record, null when missing or the database is unavailable
  */
-function parseGeminiResponse(apiResponse) {
+async function readStoredResult(resultKey, anyVersion) {
   try {
-    // Navigate through API response structure
-    if (!apiResponse.candidates || apiResponse.candidates.length === 0) {
-      throw new Error('No candidates in Gemini response');
-    }
+    const { getStoredSummary, getLatestStoredSummary } = await import('@/lib/videoStore');
+    const { name, model } = getLLMProvider();
+    const key = getStoredResultKey(resultKey);
 
-    const candidate = apiResponse.candidates[0];
-    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-      throw new Error('No content in Gemini response');
-    }
+    return anyVersion
+      ? await getLatestStoredSummary(key)
+      : await getStoredSummary({ ...key, provider: name, model, promptVersion: PROMPT_VERSION });
+  } catch (error) {
+    console.error('[API] Summary database read failed:', { cacheKey: resultKey.cacheKey, error: error.message });
+    return null;
+  }
+}
 
-    const text = candidate.content.parts[0].text;
-    const parsed = extractJSON(text);
+/**
+ * Read a cached result, falling back to the database
+ * Database results are cached again for what is left of their stale period; past it they count as missing
+ * @param {object} options - { anyVersion } to also accept results of another prompt/model version, however old
+ * @returns {Promise<{ result: object, stale: boolean } | null>} null when missing or made by another prompt/model version
+ */
+async function readCachedResult(resultKey, { anyVersion = false } = {}) {
+  const entry = await summaryCache.get(resultKey.cacheKey);
+  if (entry && (anyVersion || entry.version === getResultVersion())) {
+    return { result: entry.result, stale: isStale(entry.generatedAt) };
+  }
 
-    if (!parsed) {
-      throw new Error('Could not parse JSON from Gemini response');
-    }
+  const stored = await readStoredResult(resultKey, anyVersion);
+  if (!stored) return null;
 
-    // Validate structure
-    const result = {
-      summary: parsed.summary || 'Unable to generate summary',
-      takeaways: Array.isArray(parsed.takeaways) ? parsed.takeaways : [],
-      actions: Array.isArray(parsed.actions) ? parsed.actions : [],
-    };
+  const generatedAt = stored.generatedAt.getTime();
+  if (!anyVersion) {
+    const remainingSec = Math.floor((generatedAt - Date.now()) / 1000) + CACHE_TTL_SEC + SUMMARY_STALE_TTL_SEC;
+    if (remainingSec <= 0) return null;
 
-    return {
-      success: true,
-      data: result,
-      rawText: text,
-    };
-  } catch (error) {
-    console.error('[API] Failed to parse Gemini response:', error.message);
-    return {
-      success: false,
-      error: error.message,
-    };
+    await summaryCache.set(resultKey.cacheKey, { version: getResultVersion(), generatedAt, result: stored.result }, remainingSec);
   }
+
+  return { result: stored.result, stale: isStale(generatedAt) };
 }
 
-export default async function handler(req, res) {
-  // Only POST allowed
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+/**
+ * Regenerate a stale result after the stale one has been served
+ * Goes through coalesceGeneration, so a key is only regenerated once at a time.
+ * Best effort: pages API routes have no after(), so a host that freezes the function
+ * once the response is sent may never finish it; the result then stays stale and
+ * the next request for it tries again.
+ */
+function revalidateInBackground(resultKey, generate) {
+  const { cacheKey } = resultKey;
+  console.log(`[API] Refreshing stale result ${cacheKey} in the background`);
+
+  coalesceGeneration(resultKey, generate)
+    .then((outcome) => {
+      if (!outcome.success) {
+        console.error('[API] Background refresh failed validation:', { cacheKey, validationErrors: outcome.validationErrors });
+      }
+    })
+    .catch((error) => console.error('[API] Background refresh failed:', { cacheKey, error: error.message }));
+}
+
+/**
+ * Share one generation between concurrent requests for the same result
+ * Waiters get the same outcome, errors included; only successes are cached (by generate).
+ * Requests without a result key (no videoId) always run their own generation.
+ * @param {object|null} resultKey - From getResultKey
+ * @param {function} generate - Runs the generation and caches its result
+ */
+function coalesceGeneration(resultKey, generate) {
+  return resultKey ? summaryCache.coalesce(resultKey.cacheKey, generate) : generate();
+}
+
+/**
+ * Generate a summary and cache it
+ * Long transcripts go through map-reduce, everything else in a single call
+ * @returns {Promise<object>} { success, data: result } or a validation failure
+ */
+async function generateSummary({ title, videoUrl, content, contentType, chunks, isTruncated, resultKey, language }) {
+  const { result: parseResult, usage } = await measureUsage(() =>
+    chunks.length > 1
+      ? summarizeChunks(title, chunks, videoUrl, language)
+      : summarizeContent(title, content, videoUrl, contentType, { language })
+  );
+
+  if (!parseResult.success) {
+    return parseResult;
   }
 
-  // Rate limiting
-  const clientIp = getClientIp(req);
-  if (!checkRateLimit(clientIp, RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW_SEC)) {
-    return res.status(429).json({
-      error: `Rate limited. Max ${RATE_LIMIT_REQUESTS} requests per ${RATE_LIMIT_WINDOW_SEC}s`,
-    });
+  const result = {
+    summary: parseResult.data.summary,
+    takeaways: parseResult.data.takeaways,
+    actions: parseResult.data.actions,
+    isTruncated,
+    contentType,
+    chunks: Math.max(chunks.length, 1),
+    language,
+    rawModelOutput: process.env.NODE_ENV === 'development' ? parseResult.rawText : undefined,
+  };
+
+  // Cache the result
+  if (resultKey) {
+    await cacheResult(resultKey, result, usage);
   }
 
-  // Validate environment
-  const envValidation = validateEnv();
-  if (!envValidation.valid) {
-    console.error('[API] Environment validation failed:', envValidation.errors);
-    return res.status(500).json({
-      error: 'Server configuration error. Contact administrator.',
-      details: process.env.NODE_ENV === 'development' ? envValidation.errors : undefined,
-    });
+  return { success: true, data: result };
+}
+
+/**
+ * Whether a transcript has any text to summarize
+ */
+function hasTranscriptText(transcript) {
+  return typeof transcript === 'string' && transcript.trim().length > 0;
+}
+
+async function handler(req, res) {
+  // Only POST allowed
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { videoId, transcript, title, videoUrl, metadata } = req.body;
+  // Validate environment
+  if (rejectInvalidLLMConfig(res)) return;
+
+  const {
+    videoId,
+    transcript,
+    title,
+    videoUrl,
+    metadata,
+    mode = 'summary',
+    rawSegments,
+    stream = false,
+    language = DEFAULT_OUTPUT_LANGUAGE,
+    transcriptLanguage,
+    refresh = false,
+  } = req.body;
 
   // Validate input - transcript is optional if metadata is provided
   if (!title || typeof title !== 'string') {
@@ -281,99 +679,319 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Missing or invalid videoUrl' });
   }
 
-  // Check if we have either transcript or metadata
-  const hasTranscript = transcript && typeof transcript === 'string' && transcript.trim().length > 0;
-  const hasMetadata = metadata && typeof metadata === 'object';
+  if (!SUMMARY_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Expected one of: ${SUMMARY_MODES.join(', ')}` });
+  }
+
+  if (!isValidLanguageCode(language)) {
+    return res.status(400).json({ error: 'Invalid language. Use a language code such as en or id.' });
+  }
+
+  if (transcriptLanguage !== undefined && !isValidLanguageCode(transcriptLanguage)) {
+    return res.status(400).json({ error: 'Invalid transcriptLanguage. Use a language code such as en or id.' });
+  }
+
+  if (typeof refresh !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid refresh. Expected true or false.' });
+  }
+
+  if (videoId !== undefined && (typeof videoId !== 'string' || !VIDEO_ID_PATTERN.test(videoId))) {
+    return res.status(400).json({ error: 'Invalid YouTube video ID format' });
+  }
 
-  if (!hasTranscript && !hasMetadata) {
+  const languages = { language, transcriptLanguage };
+
+  if (mode === 'chapters') {
+    return handleChapters(res, { videoId, title, videoUrl, rawSegments, languages, refresh });
+  }
+
+  // Check if we have either transcript or metadata (fetched below for a videoId)
+  if (!videoId && !hasTranscriptText(transcript) && !(metadata && typeof metadata === 'object')) {
     return res.status(400).json({
       error: 'Either transcript or metadata must be provided for summarization'
     });
   }
 
   try {
-    // Check cache first
-    const cacheKey = videoId ? generateCacheKey(videoId) : null;
-    if (cacheKey) {
-      const cached = cache.get(`${cacheKey}_summary`);
-      if (cached) {
-        return res.status(200).json({ ...cached, cached: true });
-      }
+    // Check cache first, unless asked for a new result
+    const resultKey = videoId ? getResultKey(videoId, 'summary', languages) : null;
+    const cached = resultKey && !refresh ? await readCachedResult(resultKey) : null;
+    if (cached && !cached.stale) {
+      return sendCachedSummary(res, cached, stream);
+    }
+
+    // Out of tokens: serve whatever is cached, even for a refresh, instead of generating
+    if ((await getBudgetStatus()).exhausted) {
+      const fallback = resultKey ? await readCachedResult(resultKey, { anyVersion: true }) : null;
+      const body = fallback
+        ? { ...fallback.result, cached: true, stale: fallback.stale }
+        : { ...buildMetadataOnlySummary(title, metadata, language), cached: false };
+      return sendSummaryBody(res, { ...body, budgetExhausted: true }, stream);
+    }
+
+    const source = await getSourceContent({ videoId, title, videoUrl, transcript, metadata, transcriptLanguage });
+    if (!source) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const hasTranscript = hasTranscriptText(source.transcript);
+    if (!hasTranscript && !source.metadata) {
+      return res.status(422).json({ error: 'No transcript or metadata available for this video' });
     }
 
     // Process content based on availability
     let content = '';
     let contentType = '';
     let isTruncated = false;
+    let chunks = [];
 
     if (hasTranscript) {
-      // Use transcript
-      const truncateResult = truncateTranscript(transcript);
+      // Use transcript, only truncating what doesn't fit in MAX_SUMMARY_CHUNKS chunks
+      const truncateResult = truncateTranscript(source.transcript, MAX_TRANSCRIPT_CHARS * MAX_SUMMARY_CHUNKS);
       content = truncateResult.transcript;
       isTruncated = truncateResult.isTruncated;
       contentType = 'transcript';
-    } else if (hasMetadata) {
+      chunks = splitTranscript(content);
+    } else {
       // Use metadata for AI-powered summarization
-      content = `Title: ${metadata.title}\nDescription: ${metadata.description}\nVideo URL: ${metadata.url}`;
+      const { metadata: videoMetadata } = source;
+      content = `Title: ${videoMetadata.title}\nDescription: ${videoMetadata.description}\nVideo URL: ${videoMetadata.url}`;
       contentType = 'metadata';
     }
 
-    // Build prompts based on content type
-    const { systemPrompt, userPrompt } = buildPrompt(title, content, videoUrl, contentType);
-
-    // Call Gemini API
-    const apiResponse = await callGeminiAPI(systemPrompt, userPrompt);
+    const generationOptions = { title: source.title, videoUrl: source.videoUrl, content, contentType, chunks, isTruncated, resultKey, language };
 
-    // Parse response
-    const parseResult = parseGeminiResponse(apiResponse);
+    // Serve the stale result now and replace it for the next request
+    if (cached) {
+      revalidateInBackground(resultKey, () => generateSummary(generationOptions));
+      return sendCachedSummary(res, cached, stream);
+    }
 
-    if (!parseResult.success) {
-      return res.status(500).json({
-        error: 'Failed to process AI response',
-        details: process.env.NODE_ENV === 'development' ? parseResult.error : undefined,
-      });
+    if (stream) {
+      return streamSummary(res, { ...generationOptions, videoId });
     }
 
-    const result = {
-      summary: parseResult.data.summary,
-      takeaways: parseResult.data.takeaways,
-      actions: parseResult.data.actions,
-      isTruncated,
-      contentType,
-      rawModelOutput: process.env.NODE_ENV === 'development' ? parseResult.rawText : undefined,
-    };
+    const summaryResult = await coalesceGeneration(resultKey, () => generateSummary(generationOptions));
 
-    // Cache the result
-    if (cacheKey) {
-      cache.set(`${cacheKey}_summary`, result, CACHE_TTL_SEC);
+    if (!summaryResult.success) {
+      return sendValidationFailure(res, summaryResult, videoId);
     }
 
-    return res.status(200).json({ ...result, cached: false });
+    return res.status(200).json({ ...summaryResult.data, cached: false });
   } catch (error) {
-    console.error('[API] Summarize error:', {
-      videoId,
-      error: error.message,
-      stack: error.stack,
-    });
+    return sendLLMError(res, error, { label: 'Summarize', videoId, fallbackMessage: SUMMARY_ERROR_MESSAGE });
+  }
+}
+
+/**
+ * Whether segments carry the timing offsets chapters are built from
+ */
+function hasTimings(segments) {
+  return Array.isArray(segments) && segments.some((seg) => typeof seg?.offset === 'number');
+}
+
+/**
+ * Summary without a model call, for when the token budget is spent
+ * Uses the video description when the client sent metadata
+ */
+function buildMetadataOnlySummary(title, metadata, language) {
+  const description = typeof metadata?.description === 'string' ? metadata.description.trim() : '';
+
+  return {
+    summary: description
+      ? truncateTranscript(description, SUMMARY_SCHEMA.properties.summary.maxLength).transcript
+      : `AI summaries are paused until the usage limit resets. Watch "${title}" and try again later for its takeaways.`,
+    takeaways: [],
+    actions: [],
+    isTruncated: false,
+    contentType: 'metadata-only',
+    chunks: 0,
+    language,
+  };
+}
+
+/**
+ * Send a cached summary as JSON or as a single SSE done event
+ * @param {object} cached - From readCachedResult
+ */
+function sendCachedSummary(res, { result, stale }, stream) {
+  return sendSummaryBody(res, { ...result, cached: true, stale }, stream);
+}
+
+/**
+ * Send a finished summary as JSON or as a single SSE done event
+ */
+function sendSummaryBody(res, body, stream) {
+  if (stream) {
+    startSSE(res);
+    sendSSE(res, 'done', body);
+    return res.end();
+  }
+  return res.status(200).json(body);
+}
+
+/**
+ * Streaming summary over Server-Sent Events
+ * The map step of long transcripts runs as usual and reports progress; the final
+ * (or only) model call is streamed. The assembled result is cached like a normal summary.
+ * A request that joins a generation already in flight only receives the final event.
+ */
+async function streamSummary(res, options) {
+  const { videoId, resultKey } = options;
+  startSSE(res);
 
-    // Map errors to appropriate status codes
-    let statusCode = 500;
-    let errorMessage = 'Failed to generate summary. Please try again.';
-
-    if (error.message.includes('Rate limited')) {
-      statusCode = 429;
-      errorMessage = 'Gemini API rate limit reached. Please wait and try again.';
-    } else if (error.message.includes('Invalid Gemini API key')) {
-      statusCode = 500;
-      errorMessage = 'Server configuration error.';
-    } else if (error.message.includes('quota exceeded')) {
-      statusCode = 503;
-      errorMessage = 'Service quota exceeded. Please try again later.';
+  try {
+    const summaryResult = await coalesceGeneration(resultKey, () =>
+      generateStreamedSummary(options, (event, data) => sendSSE(res, event, data))
+    );
+
+    if (!summaryResult.success) {
+      console.error('[API] Streamed summary failed validation:', { videoId, validationErrors: summaryResult.validationErrors });
+      sendSSE(res, 'error', { error: 'AI response failed validation', validationErrors: summaryResult.validationErrors });
+      return res.end();
     }
 
-    return res.status(statusCode).json({
+    sendSSE(res, 'done', { ...summaryResult.data, cached: false });
+  } catch (error) {
+    console.error('[API] Streaming summarize error:', { videoId, error: error.message });
+    const { errorMessage } = mapProviderError(error, SUMMARY_ERROR_MESSAGE);
+    sendSSE(res, 'error', {
       error: errorMessage,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
+
+  res.end();
+}
+
+/**
+ * Generate a summary with a streamed final model call and cache it
+ * @param {function} onEvent - Called with (event, data) for progress and partial output
+ * @returns {Promise<object>} { success, data: result } or a validation failure
+ */
+async function generateStreamedSummary(options, onEvent) {
+  const { contentType, chunks, isTruncated, resultKey, language } = options;
+  const { result: validated, usage } = await measureUsage(() => streamValidatedSummary(options, onEvent));
+
+  if (!validated.success) {
+    return validated;
+  }
+
+  const result = {
+    ...normalizeSummary(validated.data),
+    isTruncated,
+    contentType,
+    chunks: Math.max(chunks.length, 1),
+    language,
+  };
+
+  // Cache the assembled result
+  if (resultKey) {
+    await cacheResult(resultKey, result, usage);
+  }
+
+  return { success: true, data: result };
+}
+
+/**
+ * Model calls of a streamed summary: the map step of long transcripts, then the
+ * streamed final call, whose assembled output is validated (and repaired if needed)
+ * @returns {Promise<object>} Result of generateStructured
+ */
+async function streamValidatedSummary({ title, videoUrl, content, contentType, chunks, language }, onEvent) {
+  let finalContent = content;
+  let finalContentType = contentType;
+
+  if (chunks.length > 1) {
+    const partialsResult = await summarizeChunkPartials(title, chunks, videoUrl, {
+      language,
+      onPart: (part) => onEvent('progress', { part, totalParts: chunks.length }),
+    });
+
+    if (!partialsResult.success) {
+      throw new Error(partialsResult.error);
+    }
+
+    finalContent = JSON.stringify(partialsResult.data, null, 2);
+    finalContentType = 'merge';
+  }
+
+  const { systemPrompt, userPrompt } = buildPrompt(title, finalContent, videoUrl, finalContentType, { format: 'lines', language });
+  const parser = createLineStreamParser(onEvent);
+
+  await getLLMProvider().stream({ task: 'summary', systemPrompt, userPrompt }, (text) => parser.push(text));
+
+  // Validate the assembled output like a regular response; the repair pass (if needed) uses the JSON prompt
+  const jsonPrompt = buildPrompt(title, finalContent, videoUrl, finalContentType, { language });
+  return generateStructured(
+    getLLMProvider(),
+    { task: 'summary', schema: SUMMARY_SCHEMA, ...jsonPrompt },
+    { initialText: JSON.stringify(parser.end()) }
+  );
+}
+
+/**
+ * Chapters mode: ordered [{ start, end, title, gist }] outline from rawSegments
+ */
+async function handleChapters(res, { videoId, title, videoUrl, rawSegments, languages, refresh }) {
+  if (!videoId && !hasTimings(rawSegments)) {
+    return res.status(400).json({ error: 'rawSegments with timing offsets are required for chapters' });
+  }
+
+  try {
+    const resultKey = videoId ? getResultKey(videoId, 'chapters', languages) : null;
+
+    const cached = resultKey && !refresh ? await readCachedResult(resultKey) : null;
+    if (cached && !cached.stale) {
+      return res.status(200).json({ ...cached.result, cached: true, stale: false });
+    }
+
+    // Out of tokens: serve whatever is cached, even for a refresh, instead of generating
+    const budget = await getBudgetStatus();
+    if (budget.exhausted) {
+      const fallback = resultKey ? await readCachedResult(resultKey, { anyVersion: true }) : null;
+      if (!fallback) {
+        return sendBudgetExhausted(res, budget);
+      }
+      return res.status(200).json({ ...fallback.result, cached: true, stale: fallback.stale, budgetExhausted: true });
+    }
+
+    const source = await getSourceContent({ videoId, title, videoUrl, rawSegments, transcriptLanguage: languages.transcriptLanguage });
+    if (!source) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!hasTimings(source.rawSegments)) {
+      return res.status(422).json({ error: 'No timed transcript available for this video' });
+    }
+
+    const generate = async () => {
+      const { result: generated, usage } = await measureUsage(() =>
+        generateChapters(source.title, source.rawSegments, source.videoUrl, languages.language)
+      );
+      if (!generated.success) return generated;
+
+      const result = { ...generated.data, contentType: 'chapters', language: languages.language };
+      if (resultKey) {
+        await cacheResult(resultKey, result, usage);
+      }
+      return { success: true, data: result };
+    };
+
+    if (cached) {
+      revalidateInBackground(resultKey, generate);
+      return res.status(200).json({ ...cached.result, cached: true, stale: true });
+    }
+
+    const chaptersResult = await coalesceGeneration(resultKey, generate);
+
+    if (!chaptersResult.success) {
+      return sendValidationFailure(res, chaptersResult, videoId);
+    }
+
+    return res.status(200).json({ ...chaptersResult.data, cached: false });
+  } catch (error) {
+    return sendLLMError(res, error, { label: 'Summarize', videoId, fallbackMessage: SUMMARY_ERROR_MESSAGE });
+  }
 }
+
+export default withRateLimit('summarize', withUsageContext('summarize', handler));
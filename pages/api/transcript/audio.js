@@ -0,0 +1,91 @@
+/**
+ * API endpoint to transcribe a video from uploaded audio
+ * POST /api/transcript/audio?videoId=ID&lang=id
+ *   body: the audio file itself (Content-Type audio/mpeg, audio/wav, audio/mp4, video/mp4, ...)
+ *   Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * For videos without captions: the file is saved under ASR_AUDIO_DIR and
+ * transcribed with the configured speech-to-text engine (see lib/asr), replacing
+ * any metadata-only result. Returns the same shape as GET /api/transcript, with
+ * method 'local-asr'. lang is the spoken language; it is detected without one.
+ *
+ * The transcript replaces the video's shared one, which summaries and chapters are
+ * built from, so only admins can upload (see lib/adminAuth).
+ */
+import { transcribeLocalAudio } from '@/lib/transcript';
+import { isValidLanguageCode } from '@/lib/languages';
+import { withRateLimit } from '@/lib/rateLimiter';
+import { isASREnabled } from '@/lib/asr';
+import { checkAdminToken } from '@/lib/adminAuth';
+import { AUDIO_CONTENT_TYPES, AudioTooLargeError, saveAudioUpload } from '@/lib/asr/audio';
+
+// The body is streamed to disk, not parsed
+export const config = {
+  api: { bodyParser: false },
+};
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const admin = checkAdminToken(req.headers.authorization);
+  if (!admin.ok) {
+    return res.status(admin.status).json({ error: admin.error });
+  }
+
+  const { videoId, lang } = req.query;
+
+  if (typeof videoId !== 'string' || !/^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
+    return res.status(400).json({ error: 'Invalid YouTube video ID format' });
+  }
+
+  if (lang !== undefined && !isValidLanguageCode(lang)) {
+    return res.status(400).json({ error: 'Invalid lang parameter. Use a language code such as en or id.' });
+  }
+
+  if (!isASREnabled()) {
+    return res.status(501).json({ error: 'Audio transcription is not enabled on this server' });
+  }
+
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const extension = AUDIO_CONTENT_TYPES[contentType];
+  if (!extension) {
+    return res.status(415).json({
+      error: `Unsupported audio type. Expected one of: ${Object.keys(AUDIO_CONTENT_TYPES).join(', ')}`,
+    });
+  }
+
+  try {
+    await saveAudioUpload(videoId, req, extension);
+  } catch (error) {
+    if (error instanceof AudioTooLargeError) {
+      return res.status(413).json({ error: error.message });
+    }
+
+    console.error('[API] Audio upload error:', { videoId, error: error.message });
+    return res.status(400).json({
+      error: 'Failed to receive the audio file',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+
+  try {
+    const result = await transcribeLocalAudio(videoId, { lang });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('[API] Audio transcription error:', {
+      videoId,
+      error: error.message,
+    });
+
+    return res.status(502).json({
+      error: 'Failed to transcribe the audio. Please try again later.',
+      transcript: '',
+      available: false,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+export default withRateLimit('transcript-audio', handler);
@@ -0,0 +1,232 @@
+/**
+ * API endpoint for questions about a video, answered from its transcript
+ * POST /api/video-chat
+ * Body: { videoId, title, question, history?: [{ role: 'user' | 'assistant', content }] }
+ *
+ * Returns { answer, citations: [{ timestamp, startSec }], grounded, refused }.
+ * The answer cites the transcript with inline [m:ss] markers. Questions the
+ * transcript doesn't cover are refused unless VIDEO_CHAT_OFF_TRANSCRIPT=answer,
+ * in which case the model may answer from general knowledge with grounded: false.
+ */
+import { formatTimestamp, parseTimestamp } from '@/lib/videoUtils';
+import { withRateLimit } from '@/lib/rateLimiter';
+import { MAX_TRANSCRIPT_CHARS, fetchTranscript, splitTranscript, buildTimestampedText } from '@/lib/transcript';
+import { getLLMProvider, generateStructured } from '@/lib/llm';
+import { withUsageContext } from '@/lib/llm/usage';
+import {
+  rejectInvalidLLMConfig,
+  rejectOverBudget,
+  sendValidationFailure,
+  sendLLMError,
+} from '@/lib/llm/responses';
+
+const OFF_TRANSCRIPT_MODE = process.env.VIDEO_CHAT_OFF_TRANSCRIPT === 'answer' ? 'answer' : 'refuse';
+const MAX_QUESTION_CHARS = 1000;
+const MAX_HISTORY_MESSAGES = 10;
+const CONTEXT_CHUNK_CHARS = 4000;
+const REFUSAL_MESSAGE = "I can only answer questions about what's covered in this video, and the transcript doesn't address that.";
+
+const CHAT_SCHEMA = {
+  type: 'object',
+  required: ['answer', 'citations', 'inTranscript'],
+  properties: {
+    answer: { type: 'string', minLength: 1, maxLength: 2000 },
+    citations: {
+      type: 'array',
+      maxItems: 10,
+      items: { type: 'string', minLength: 4, maxLength: 8 },
+    },
+    inTranscript: { type: 'boolean' },
+  },
+};
+
+/**
+ * Citations must be real transcript timestamps, and grounded answers need at least one
+ * @param {number} durationSec - Transcript length, used to reject invented timestamps
+ */
+function createChatValidator(durationSec) {
+  return (data) => {
+    const errors = [];
+
+    if (data.inTranscript && data.citations.length === 0) {
+      errors.push('response.citations: answers based on the transcript must cite at least one timestamp');
+    }
+
+    data.citations.forEach((citation, index) => {
+      const startSec = parseTimestamp(citation);
+      if (startSec === null) {
+        errors.push(`response.citations[${index}]: must be a m:ss timestamp from the transcript`);
+      } else if (startSec > durationSec) {
+        errors.push(`response.citations[${index}]: ${citation} is past the end of the transcript`);
+      }
+    });
+
+    return errors;
+  };
+}
+
+/**
+ * Split text into lowercase words worth matching on
+ */
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+}
+
+/**
+ * Pick the transcript context for a question
+ * Short transcripts are sent whole; long ones are cut into chunks and the chunks
+ * sharing the most words with the question (and recent history) are kept, in video order
+ */
+function selectContext(text, question, history) {
+  if (text.length <= MAX_TRANSCRIPT_CHARS) {
+    return text;
+  }
+
+  const queryWords = new Set(tokenize([question, ...history.map((message) => message.content)].join(' ')));
+  const chunks = splitTranscript(text, CONTEXT_CHUNK_CHARS).map((chunk, index) => ({
+    chunk,
+    index,
+    score: tokenize(chunk).filter((word) => queryWords.has(word)).length,
+  }));
+
+  const selected = [];
+  let length = 0;
+  for (const candidate of [...chunks].sort((a, b) => b.score - a.score)) {
+    if (length + candidate.chunk.length > MAX_TRANSCRIPT_CHARS) break;
+    selected.push(candidate);
+    length += candidate.chunk.length;
+  }
+
+  return selected
+    .sort((a, b) => a.index - b.index)
+    .map((candidate) => candidate.chunk)
+    .join('\n...\n');
+}
+
+/**
+ * Build system and user prompts for a chat turn
+ */
+function buildChatPrompt(title, context, question, history) {
+  const offTranscriptRule = OFF_TRANSCRIPT_MODE === 'answer'
+    ? 'If the transcript does not cover the question, set inTranscript to false, leave citations empty, and answer briefly from general knowledge, saying clearly that the video does not cover it.'
+    : 'If the transcript does not cover the question, set inTranscript to false, leave citations empty, and do not answer it.';
+
+  const systemPrompt = `You are a learning assistant answering questions about one video. Answer using ONLY the provided transcript, which contains [m:ss] timestamps. Return a JSON object with these exact keys:
+- answer: A concise answer (at most a short paragraph). Cite the transcript inline with the [m:ss] marker of each passage you relied on, e.g. "The speaker recommends daily practice [2:15]."
+- citations: Every timestamp cited in the answer, copied exactly from a [m:ss] marker in the transcript (without brackets)
+- inTranscript: true if the transcript covers the question, otherwise false
+
+${offTranscriptRule} Never invent timestamps. Respond with ONLY a valid JSON object, no additional text or markdown.`;
+
+  const conversation = history.length > 0
+    ? `\nConversation so far:\n${history.map((message) => `${message.role === 'user' ? 'Learner' : 'Assistant'}: ${message.content}`).join('\n')}\n`
+    : '';
+
+  const userPrompt = `Video Title: "${title}"
+
+Timestamped transcript:
+${context}
+${conversation}
+Learner question: ${question}`;
+
+  return { systemPrompt, userPrompt };
+}
+
+/**
+ * Keep well-formed recent history messages only
+ */
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .filter((message) =>
+      (message?.role === 'user' || message?.role === 'assistant') &&
+      typeof message.content === 'string' &&
+      message.content.trim()
+    )
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map((message) => ({ role: message.role, content: message.content.trim().slice(0, MAX_QUESTION_CHARS * 2) }));
+}
+
+/**
+ * Turn validated model output into the API response
+ */
+function buildAnswer(data) {
+  if (!data.inTranscript && OFF_TRANSCRIPT_MODE === 'refuse') {
+    return { answer: REFUSAL_MESSAGE, citations: [], grounded: false, refused: true };
+  }
+
+  const seconds = [...new Set(data.citations.map(parseTimestamp))].sort((a, b) => a - b);
+
+  return {
+    answer: data.answer.trim(),
+    citations: seconds.map((startSec) => ({ timestamp: formatTimestamp(startSec), startSec })),
+    grounded: data.inTranscript,
+    refused: false,
+  };
+}
+
+async function handler(req, res) {
+  // Only POST allowed
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Validate environment
+  if (rejectInvalidLLMConfig(res)) return;
+
+  const { videoId, title, question } = req.body;
+
+  // Validate input
+  if (!videoId || typeof videoId !== 'string' || !/^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
+    return res.status(400).json({ error: 'Missing or invalid videoId' });
+  }
+
+  if (!title || typeof title !== 'string') {
+    return res.status(400).json({ error: 'Missing or invalid title' });
+  }
+
+  if (!question || typeof question !== 'string' || !question.trim()) {
+    return res.status(400).json({ error: 'Missing or invalid question' });
+  }
+
+  if (question.length > MAX_QUESTION_CHARS) {
+    return res.status(400).json({ error: `Question must be at most ${MAX_QUESTION_CHARS} characters` });
+  }
+
+  try {
+    if (await rejectOverBudget(res)) return;
+
+    const transcriptResult = await fetchTranscript(videoId);
+    if (!transcriptResult.available || transcriptResult.rawSegments.length === 0) {
+      return res.status(422).json({
+        error: 'No transcript available for this video, so questions about it cannot be answered.',
+      });
+    }
+
+    const history = sanitizeHistory(req.body.history);
+    const { text, durationSec } = buildTimestampedText(transcriptResult.rawSegments);
+    const context = selectContext(text, question, history);
+    const { systemPrompt, userPrompt } = buildChatPrompt(title, context, question.trim(), history);
+
+    const chatResult = await generateStructured(
+      getLLMProvider(),
+      { task: 'chat', schema: CHAT_SCHEMA, systemPrompt, userPrompt },
+      { validate: createChatValidator(durationSec) }
+    );
+
+    if (!chatResult.success) {
+      return sendValidationFailure(res, chatResult, videoId);
+    }
+
+    return res.status(200).json(buildAnswer(chatResult.data));
+  } catch (error) {
+    return sendLLMError(res, error, {
+      label: 'Video chat',
+      videoId,
+      fallbackMessage: 'Failed to answer the question. Please try again.',
+    });
+  }
+}
+
+export default withRateLimit('video-chat', withUsageContext('video-chat', handler));
@@ -15,13 +15,16 @@
  * }
  */
 
+import crypto from 'crypto';
 import axios from 'axios';
 import { cache } from '@/lib/cache';
-import { generateCacheKey } from '@/lib/videoUtils';
+import { withRateLimit } from '@/lib/rateLimiter';
 
 const CACHE_TTL_SEC = parseInt(process.env.SUMMARY_CACHE_TTL_SEC || '86400', 10);
 const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
 
+const searchCache = cache.namespace('search');
+
 /**
  * Parse ISO 8601 duration to seconds
  * Example: PT15M30S => 930 seconds
@@ -191,7 +194,7 @@ async function searchYouTube(query, maxResults = 10, filters = {}) {
   }
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only accept POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({
@@ -224,7 +227,19 @@ export default async function handler(req, res) {
     }
 
     const searchQuery = query.trim();
-    const filterKey = JSON.stringify(filters);
+    const cacheKey = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([searchQuery.toLowerCase(), maxResults, filters]))
+      .digest('hex');
+
+    const cachedResult = await searchCache.get(cacheKey);
+    if (cachedResult) {
+      return res.status(200).json({
+        ...cachedResult,
+        cached: true,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     console.log(`🔍 Searching YouTube for: "${searchQuery}"`, filters);
 
@@ -242,8 +257,12 @@ export default async function handler(req, res) {
       });
     }
 
+    // Only successful searches are cached, so quota errors clear up on their own
+    await searchCache.set(cacheKey, searchResult, CACHE_TTL_SEC);
+
     return res.status(200).json({
       ...searchResult,
+      cached: false,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -256,3 +275,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRateLimit('search', handler);
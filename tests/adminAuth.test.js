@@ -0,0 +1,30 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+async function loadCheckAdminToken(token) {
+  vi.resetModules();
+  vi.stubEnv('ADMIN_API_TOKEN', token);
+  return (await import('@/lib/adminAuth')).checkAdminToken;
+}
+
+describe('checkAdminToken', () => {
+  let checkAdminToken;
+
+  beforeEach(async () => {
+    checkAdminToken = await loadCheckAdminToken('s3cret-admin-token');
+  });
+
+  it('accepts the configured bearer token', () => {
+    expect(checkAdminToken('Bearer s3cret-admin-token')).toEqual({ ok: true });
+  });
+
+  it('rejects a missing, wrong or differently sent token', () => {
+    for (const header of [undefined, '', 'Bearer', 'Bearer wrong', 'Bearer s3cret-admin-token2', 'Basic s3cret-admin-token', 's3cret-admin-token']) {
+      expect(checkAdminToken(header)).toMatchObject({ ok: false, status: 401 });
+    }
+  });
+
+  it('rejects everything without a configured token', async () => {
+    checkAdminToken = await loadCheckAdminToken('');
+    expect(checkAdminToken('Bearer ')).toMatchObject({ ok: false, status: 503 });
+  });
+});
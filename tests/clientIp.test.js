@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+/**
+ * Import lib/clientIp with its trust settings, which are read at load time
+ */
+async function loadClientIp(env = {}) {
+  vi.resetModules();
+  vi.stubEnv('TRUSTED_PROXY_HOPS', env.TRUSTED_PROXY_HOPS ?? '');
+  vi.stubEnv('TRUSTED_PROXIES', env.TRUSTED_PROXIES ?? '');
+  return import('@/lib/clientIp');
+}
+
+// Pages API request: plain header object plus the connection's peer address
+function pagesRequest(forwardedFor, remoteAddress) {
+  return { headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}, socket: { remoteAddress } };
+}
+
+// App route request: Web Headers and no peer address
+function routeRequest(forwardedFor) {
+  return new Request('http://localhost/', { headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {} });
+}
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('parseIp', () => {
+  it('strips brackets, ports, zone IDs and IPv4-mapped prefixes', async () => {
+    const { parseIp } = await loadClientIp();
+
+    expect(parseIp('[::1]:443')).toBe('::1');
+    expect(parseIp('[2001:db8::7]')).toBe('2001:db8::7');
+    expect(parseIp('1.2.3.4:80')).toBe('1.2.3.4');
+    expect(parseIp(' 1.2.3.4 ')).toBe('1.2.3.4');
+    expect(parseIp('fe80::1%eth0')).toBe('fe80::1');
+    expect(parseIp('::ffff:1.2.3.4')).toBe('1.2.3.4');
+    expect(parseIp('::FFFF:10.0.0.1')).toBe('10.0.0.1');
+  });
+
+  it('rejects anything that is not an address', async () => {
+    const { parseIp } = await loadClientIp();
+
+    expect(parseIp('not-an-ip')).toBeNull();
+    expect(parseIp('1.2.3.999')).toBeNull();
+    expect(parseIp('')).toBeNull();
+    expect(parseIp(undefined)).toBeNull();
+  });
+});
+
+describe('normalizeClientIp', () => {
+  it('keeps IPv4 addresses as they are', async () => {
+    const { normalizeClientIp } = await loadClientIp();
+    expect(normalizeClientIp('203.0.113.7')).toBe('203.0.113.7');
+  });
+
+  it('groups IPv6 addresses by their /64 network', async () => {
+    const { normalizeClientIp } = await loadClientIp();
+
+    expect(normalizeClientIp('2001:db8:1:2:aaaa:bbbb:cccc:dddd')).toBe('2001:db8:1:2::/64');
+    expect(normalizeClientIp('2001:db8:1:2::1')).toBe(normalizeClientIp('2001:db8:1:2:ffff::9'));
+    expect(normalizeClientIp('2001:db8:1:3::1')).not.toBe(normalizeClientIp('2001:db8:1:2::1'));
+    expect(normalizeClientIp('::1')).toBe('::/64');
+    expect(normalizeClientIp('64:ff9b::1.2.3.4')).toBe('64:ff9b::/64');
+  });
+});
+
+describe('getClientIp in pages API routes', () => {
+  it('ignores X-Forwarded-For when no proxy is trusted', async () => {
+    const { getClientIp } = await loadClientIp();
+
+    expect(getClientIp(pagesRequest('6.6.6.6', '198.51.100.1'))).toBe('198.51.100.1');
+    expect(getClientIp(pagesRequest(undefined, '::ffff:198.51.100.2'))).toBe('198.51.100.2');
+  });
+
+  it('skips exactly TRUSTED_PROXY_HOPS entries, so a spoofed leftmost entry is ignored', async () => {
+    const oneHop = await loadClientIp({ TRUSTED_PROXY_HOPS: '1' });
+    expect(oneHop.getClientIp(pagesRequest('6.6.6.6, 1.2.3.4', '10.0.0.1'))).toBe('1.2.3.4');
+    expect(oneHop.getClientIp(pagesRequest('1.2.3.4', '10.0.0.1'))).toBe('1.2.3.4');
+
+    const twoHops = await loadClientIp({ TRUSTED_PROXY_HOPS: '2' });
+    expect(twoHops.getClientIp(pagesRequest('6.6.6.6, 1.2.3.4, 10.0.0.2', '10.0.0.1'))).toBe('1.2.3.4');
+  });
+
+  it('skips addresses in trusted CIDRs', async () => {
+    const { getClientIp } = await loadClientIp({ TRUSTED_PROXIES: '10.0.0.0/8, 2001:db8:ffff::/48' });
+
+    expect(getClientIp(pagesRequest('6.6.6.6, 1.2.3.4, 10.1.2.3', '10.0.0.1'))).toBe('1.2.3.4');
+    expect(getClientIp(pagesRequest('1.2.3.4', '2001:db8:ffff::5'))).toBe('1.2.3.4');
+    // An untrusted peer is the client, whatever it forwards
+    expect(getClientIp(pagesRequest('6.6.6.6', '198.51.100.1'))).toBe('198.51.100.1');
+  });
+
+  it('expands the loopback, private and linklocal presets', async () => {
+    const { getClientIp } = await loadClientIp({ TRUSTED_PROXIES: 'loopback,private,linklocal' });
+
+    expect(getClientIp(pagesRequest('6.6.6.6, 1.2.3.4, 192.168.1.1, 169.254.0.9', '127.0.0.1'))).toBe('1.2.3.4');
+    expect(getClientIp(pagesRequest('1.2.3.4, fd00::1', '::1'))).toBe('1.2.3.4');
+  });
+
+  it('falls back to the leftmost address when every address is a trusted proxy', async () => {
+    const { getClientIp } = await loadClientIp({ TRUSTED_PROXIES: 'private' });
+    expect(getClientIp(pagesRequest('10.0.0.9, 10.0.0.8', '10.0.0.1'))).toBe('10.0.0.9');
+  });
+
+  it('stops at a malformed entry instead of trusting what lies beyond it', async () => {
+    const { getClientIp } = await loadClientIp({ TRUSTED_PROXY_HOPS: '1' });
+    expect(getClientIp(pagesRequest('1.2.3.4, garbage', '10.0.0.1'))).toBe('unknown');
+  });
+
+  it('accepts bracketed, port-suffixed and IPv4-mapped forwarded entries', async () => {
+    const { getClientIp } = await loadClientIp({ TRUSTED_PROXY_HOPS: '1' });
+
+    expect(getClientIp(pagesRequest('[2001:db8:0:7::1]:5555', '10.0.0.1'))).toBe('2001:db8:0:7::/64');
+    expect(getClientIp(pagesRequest('1.2.3.4:5555', '10.0.0.1'))).toBe('1.2.3.4');
+    expect(getClientIp(pagesRequest('::ffff:1.2.3.4', '10.0.0.1'))).toBe('1.2.3.4');
+  });
+});
+
+describe('getClientIp in app routes', () => {
+  it('trusts no X-Forwarded-For entry when nothing is trusted, as the client may have written all of it', async () => {
+    const { getClientIp } = await loadClientIp();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(getClientIp(routeRequest('1.2.3.4'))).toBe('unknown');
+    expect(getClientIp(routeRequest('6.6.6.6, 1.2.3.4'))).toBe('unknown');
+    expect(getClientIp(routeRequest('garbage'))).toBe('unknown');
+    expect(getClientIp(routeRequest(undefined))).toBe('unknown');
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('counts the missing peer as one trusted hop when proxies are configured', async () => {
+    const oneHop = await loadClientIp({ TRUSTED_PROXY_HOPS: '1' });
+    expect(oneHop.getClientIp(routeRequest('6.6.6.6, 1.2.3.4'))).toBe('1.2.3.4');
+
+    const twoHops = await loadClientIp({ TRUSTED_PROXY_HOPS: '2' });
+    expect(twoHops.getClientIp(routeRequest('6.6.6.6, 1.2.3.4, 10.0.0.2'))).toBe('1.2.3.4');
+
+    const cidr = await loadClientIp({ TRUSTED_PROXIES: 'private' });
+    expect(cidr.getClientIp(routeRequest('6.6.6.6, 1.2.3.4, 10.0.0.2'))).toBe('1.2.3.4');
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect, vi } from 'vitest';
+import { NextRequest } from 'next/server';
+
+vi.mock('@/lib/flashcardStore', () => ({
+  listFlashcards: vi.fn(async () => [
+    { front: 'What is SM-2?', back: 'A scheduling algorithm', videoId: 'abcdefghijk', moduleNumber: 1, moduleTitle: 'Basics' },
+  ]),
+}));
+
+const { GET } = await import('@/app/api/flashcards/export/route');
+
+function exportRequest(query) {
+  return new NextRequest(`http://localhost/api/flashcards/export?${query}`);
+}
+
+describe('GET /api/flashcards/export', () => {
+  it('exports the deck in the requested format', async () => {
+    const response = await GET(exportRequest('email=learner@example.com&format=csv'));
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toMatch(/^#separator:comma\n/);
+  });
+
+  it('rejects unknown formats, prototype keys included', async () => {
+    for (const format of ['xml', 'constructor', 'toString', '__proto__']) {
+      const response = await GET(exportRequest(`email=learner@example.com&format=${format}`));
+      expect(response.status).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const SECRET = 'test-callback-secret';
+
+let verifyLearningCallback;
+let signLearningCallback;
+let cache;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubEnv('N8N_CALLBACK_SECRET', SECRET);
+  vi.stubEnv('CACHE_DRIVER', 'memory');
+  vi.stubEnv('CACHE_MAX_ENTRIES', '5');
+  ({ verifyLearningCallback, signLearningCallback } = await import('@/lib/learningRequests'));
+  ({ cache } = await import('@/lib/cache'));
+});
+
+/**
+ * Headers of a callback signed now
+ */
+function signedHeaders(nonce, rawBody) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return new Headers({
+    'x-callback-timestamp': timestamp,
+    'x-callback-nonce': nonce,
+    'x-callback-signature': signLearningCallback(timestamp, nonce, rawBody, SECRET),
+  });
+}
+
+describe('verifyLearningCallback', () => {
+  it('accepts a signed callback once', async () => {
+    const rawBody = JSON.stringify({ requestId: 'job-1' });
+    const headers = signedHeaders('nonce-0123456789abcdef', rawBody);
+
+    await expect(verifyLearningCallback(headers, rawBody)).resolves.toBeUndefined();
+    await expect(verifyLearningCallback(headers, rawBody)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('still rejects a replay after the cache has evicted everything it held', async () => {
+    const rawBody = JSON.stringify({ requestId: 'job-2' });
+    const headers = signedHeaders('nonce-fedcba9876543210', rawBody);
+    await verifyLearningCallback(headers, rawBody);
+
+    const transcripts = cache.namespace('transcript');
+    for (let i = 0; i < 50; i++) {
+      await transcripts.set(`video-${i}`, { transcript: 'x'.repeat(100) }, 3600);
+    }
+
+    await expect(verifyLearningCallback(headers, rawBody)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('rejects a bad signature', async () => {
+    const rawBody = JSON.stringify({ requestId: 'job-3' });
+    const headers = signedHeaders('nonce-0000111122223333', rawBody);
+
+    await expect(verifyLearningCallback(headers, `${rawBody} `)).rejects.toMatchObject({ status: 401 });
+  });
+});
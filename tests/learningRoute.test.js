@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const JOB = { id: 'job-1', email: 'learner@example.com', status: 'pending', expiresAt: new Date(0) };
+
+vi.mock('next/server', async (importOriginal) => ({ ...(await importOriginal()), after: vi.fn() }));
+vi.mock('@/lib/tokenUsageStore', () => ({ recordTokenUsage: vi.fn() }));
+vi.mock('@/lib/rateLimiter', () => ({ withRouteRateLimit: (policy, handler) => handler }));
+vi.mock('@/lib/generationJobStore', () => ({
+  createGenerationJob: vi.fn(async () => JOB),
+  markGenerationJobProcessing: vi.fn(),
+  failGenerationJob: vi.fn(),
+}));
+vi.mock('@/lib/learningPlans', () => ({ acceptLearningPlan: vi.fn() }));
+
+let POST;
+let after;
+let acceptLearningPlan;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.clearAllMocks();
+  vi.stubEnv('LEARNING_PLAN_GENERATOR', 'native');
+  vi.stubEnv('LLM_PROVIDER', 'mock');
+  ({ POST } = await import('@/app/api/learning/route'));
+  ({ after } = await import('next/server'));
+  ({ acceptLearningPlan } = await import('@/lib/learningPlans'));
+});
+
+/**
+ * POST a JSON body to the route
+ */
+function submit(body) {
+  return POST(new Request('http://localhost/api/learning', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+}
+
+describe('POST /api/learning with the native generator', () => {
+  it('answers at once and generates the plan in after()', async () => {
+    const response = await submit({ email: JOB.email, learningGoals: 'Learn Rust' });
+
+    expect(response.status).toBe(202);
+    expect(await response.json()).toMatchObject({ requestId: 'job-1', status: 'processing' });
+    expect(after).toHaveBeenCalledTimes(1);
+    expect(acceptLearningPlan).not.toHaveBeenCalled();
+
+    await after.mock.calls[0][0]();
+
+    expect(acceptLearningPlan).toHaveBeenCalledWith(JOB, expect.objectContaining({ email: JOB.email }), 'The native generator');
+  });
+
+  it('rejects a body whose email or learning goals are not strings with 400', async () => {
+    const { createGenerationJob } = await import('@/lib/generationJobStore');
+
+    for (const body of [
+      { email: ['learner@example.com'], learningGoals: 'Learn Rust' },
+      { email: { $ne: null }, learningGoals: 'Learn Rust' },
+      { email: 42, learningGoals: 'Learn Rust' },
+      { email: 'not-an-email', learningGoals: 'Learn Rust' },
+      { email: JOB.email, learningGoals: ['Learn Rust'] },
+      null,
+    ]) {
+      expect((await submit(body)).status).toBe(400);
+    }
+    expect(createGenerationJob).not.toHaveBeenCalled();
+  });
+});
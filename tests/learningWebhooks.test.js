@@ -0,0 +1,25 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+let sendToLearningWebhooks;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubEnv('N8N_WEBHOOKS', JSON.stringify([
+    { name: 'analytics', role: 'secondary', url: 'https://n8n.example.com/webhook/analytics', retries: 0 },
+    { name: 'learning-plan', role: 'primary', url: 'https://n8n.example.com/webhook/plan', retries: 0 },
+  ]));
+  vi.stubGlobal('fetch', vi.fn(async (url) => new Response(JSON.stringify({ received: url }), { status: 200 })));
+  ({ sendToLearningWebhooks } = await import('@/lib/learningWebhooks'));
+});
+
+describe('sendToLearningWebhooks', () => {
+  it('returns the primary delivery and hands secondaries to the background callback', async () => {
+    const background = vi.fn();
+
+    const delivery = await sendToLearningWebhooks({ email: 'learner@example.com', requestId: 'job-1' }, background);
+
+    expect(delivery).toMatchObject({ name: 'learning-plan', role: 'primary', ok: true, status: 200 });
+    expect(background).toHaveBeenCalledTimes(1);
+    await expect(background.mock.calls[0][0]).resolves.toMatchObject({ name: 'analytics', role: 'secondary', ok: true });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockProvider } from '@/lib/llm/mock';
+import { generateStructured } from '@/lib/llm';
+
+// Keep usage accounting off the database
+vi.mock('@/lib/tokenUsageStore', () => ({ recordTokenUsage: vi.fn() }));
+
+const TRANSCRIPT = ['[0:00] Welcome to the course', '[0:30] Variables hold values', '[1:00] Functions group steps', '[1:30] Loops repeat work'].join('\n');
+
+describe('mock LLM provider', () => {
+  const provider = createMockProvider();
+
+  it('needs no configuration', () => {
+    expect(provider.name).toBe('mock');
+    expect(provider.validateConfig()).toEqual([]);
+  });
+
+  it('returns the same summary for the same prompt, with estimated usage', async () => {
+    const request = { task: 'summary', systemPrompt: 'Summarize', userPrompt: 'Video Title: "Intro to Rust"' };
+    const first = await provider.generate(request);
+    const second = await provider.generate(request);
+
+    expect(first.text).toBe(second.text);
+    expect(JSON.parse(first.text).summary).toContain('Intro to Rust');
+    expect(first.usage.promptTokens).toBeGreaterThan(0);
+    expect(first.usage.outputTokens).toBeGreaterThan(0);
+  });
+
+  it('streams the summary in the line format, piece by piece', async () => {
+    const pieces = [];
+    await provider.stream({ task: 'summary', systemPrompt: '', userPrompt: 'Video Title: "Intro"' }, (text) => pieces.push(text));
+
+    const lines = pieces.join('').split('\n');
+    expect(pieces.length).toBeGreaterThan(lines.length);
+    expect(lines[0]).toMatch(/^SUMMARY: /);
+    expect(lines.filter((line) => line.startsWith('TAKEAWAY: '))).toHaveLength(5);
+  });
+
+  it('cites timestamps from the transcript in chapters and quizzes', async () => {
+    const chapters = JSON.parse((await provider.generate({ task: 'chapters', systemPrompt: '', userPrompt: TRANSCRIPT })).text);
+    expect(chapters.chapters.map((chapter) => chapter.start)).toEqual(['0:00', '0:30', '1:00', '1:30']);
+
+    const quiz = JSON.parse((await provider.generate({
+      task: 'quiz',
+      systemPrompt: '',
+      userPrompt: `Write exactly 4 questions.\n\n${TRANSCRIPT}`,
+    })).text);
+    expect(quiz.questions).toHaveLength(4);
+    expect(quiz.questions.every((question) => TRANSCRIPT.includes(`[${question.timestamp}]`))).toBe(true);
+  });
+
+  it('answers chat only from matching transcript lines', async () => {
+    const grounded = JSON.parse((await provider.generate({
+      task: 'chat',
+      systemPrompt: '',
+      userPrompt: `${TRANSCRIPT}\n\nLearner question: What do loops do?`,
+    })).text);
+    expect(grounded).toMatchObject({ citations: ['1:30'], inTranscript: true });
+
+    const offTopic = JSON.parse((await provider.generate({
+      task: 'chat',
+      systemPrompt: '',
+      userPrompt: `${TRANSCRIPT}\n\nLearner question: Who won the match?`,
+    })).text);
+    expect(offTopic).toMatchObject({ citations: [], inTranscript: false });
+  });
+
+  it('produces output that passes schema validation', async () => {
+    const schema = {
+      type: 'object',
+      required: ['summary', 'takeaways', 'actions'],
+      properties: {
+        summary: { type: 'string', minLength: 1 },
+        takeaways: { type: 'array', minItems: 5, maxItems: 5, items: { type: 'string' } },
+        actions: { type: 'array', items: { type: 'string' } },
+      },
+    };
+
+    const result = await generateStructured(provider, { task: 'summary', systemPrompt: '', userPrompt: 'Video Title: "Intro"', schema });
+    expect(result.success).toBe(true);
+    expect(result.data.takeaways).toHaveLength(5);
+  });
+});
+
+describe('features backed by the mock provider', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    vi.stubEnv('LLM_PROVIDER', 'mock');
+  });
+
+  it('generates one flashcard per takeaway', async () => {
+    const { generateFlashcards } = await import('@/lib/flashcards');
+    const result = await generateFlashcards({
+      title: 'Intro',
+      videoUrl: 'https://www.youtube.com/watch?v=abcdefghijk',
+      takeaways: ['Variables hold values', 'Loops repeat work'],
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.map((card) => card.back)).toEqual(['Variables hold values', 'Loops repeat work']);
+    expect(result.data.every((card) => card.source === 'takeaways' && card.timestamp === null)).toBe(true);
+  });
+
+  it('generates timestamped flashcards from transcript segments', async () => {
+    const { generateFlashcards } = await import('@/lib/flashcards');
+    const segments = Array.from({ length: 8 }, (_, index) => ({ text: `Point ${index + 1}`, offset: index * 30000, duration: 30000 }));
+    const result = await generateFlashcards({ title: 'Intro', videoUrl: 'https://youtu.be/abcdefghijk', segments, count: 3 });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(3);
+    expect(result.data.every((card) => card.source === 'transcript' && card.startSec <= 240)).toBe(true);
+  });
+
+  it('generates a learning plan in the format n8n sends', async () => {
+    const { generateLearningPlan } = await import('@/lib/learningPlanGenerator');
+    const result = await generateLearningPlan({ email: 'learner@example.com', learningGoals: 'Learn Rust', skillCategory: 'programmer' });
+
+    expect(result.success).toBe(true);
+    expect(result.data.email).toBe('learner@example.com');
+    expect(result.data.learningData.profile_summary.goal).toBe('Learn Rust');
+    expect(result.data.learningData.learning_path.length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('escapes HTML in generated pro tips', async () => {
+    const { getLLMProvider } = await import('@/lib/llm');
+    const { generateLearningPlan } = await import('@/lib/learningPlanGenerator');
+    const provider = getLLMProvider();
+    const generate = provider.generate.bind(provider);
+    vi.spyOn(provider, 'generate').mockImplementation(async (request) => {
+      const response = await generate(request);
+      const plan = JSON.parse(response.text);
+      plan.pro_tips[0] = { title: '<img src=x onerror=alert(1)>', description: 'Use <b> & </b> sparingly' };
+      return { ...response, text: JSON.stringify(plan) };
+    });
+
+    const { data } = await generateLearningPlan({ email: 'learner@example.com', learningGoals: 'Learn HTML' });
+
+    expect(data.learningData.pro_tips[0]).toEqual({
+      title: '&lt;img src=x onerror=alert(1)&gt;',
+      description: 'Use &lt;b&gt; &amp; &lt;/b&gt; sparingly',
+    });
+  });
+});
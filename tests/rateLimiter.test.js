@@ -0,0 +1,35 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+let checkRateLimit;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubEnv('RATE_LIMIT_STORE', 'memory');
+  ({ checkRateLimit } = await import('@/lib/rateLimiter'));
+});
+
+describe('checkRateLimit', () => {
+  it('limits anonymous clients per IP', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await checkRateLimit('learning', { ip: '1.2.3.4' })).allowed).toBe(true);
+    }
+    expect((await checkRateLimit('learning', { ip: '1.2.3.4' })).allowed).toBe(false);
+    expect((await checkRateLimit('learning', { ip: '5.6.7.8' })).allowed).toBe(true);
+  });
+
+  it('counts identified requests per email and per IP', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await checkRateLimit('learning', { ip: '1.2.3.4', email: `user${i}@example.com` })).allowed).toBe(true);
+    }
+    // Rotating emails doesn't buy more requests from one address
+    expect((await checkRateLimit('learning', { ip: '1.2.3.4', email: 'another@example.com' })).allowed).toBe(false);
+  });
+
+  it('counts identified clients whose address is unknown in the shared unknown bucket', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await checkRateLimit('learning', { ip: 'unknown', email: `user${i}@example.com` })).allowed).toBe(true);
+    }
+    // Rotating emails doesn't escape it
+    expect((await checkRateLimit('learning', { ip: 'unknown', email: 'another@example.com' })).allowed).toBe(false);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { scheduleReview, DEFAULT_EASE_FACTOR } from '@/lib/srs';
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('scheduleReview', () => {
+  it('schedules a new card 1, then 6, then interval x ease factor days out', () => {
+    const first = scheduleReview({}, 4, NOW);
+    expect(first).toMatchObject({ interval: 1, repetitions: 1, easeFactor: DEFAULT_EASE_FACTOR });
+    expect(first.dueAt.getTime() - NOW.getTime()).toBe(DAY_MS);
+
+    const second = scheduleReview(first, 4, NOW);
+    expect(second).toMatchObject({ interval: 6, repetitions: 2 });
+
+    const third = scheduleReview(second, 4, NOW);
+    expect(third).toMatchObject({ interval: 15, repetitions: 3 });
+  });
+
+  it('adjusts the ease factor by grade and never below 1.3', () => {
+    expect(scheduleReview({ easeFactor: 2.5 }, 5, NOW).easeFactor).toBe(2.6);
+    expect(scheduleReview({ easeFactor: 2.5 }, 3, NOW).easeFactor).toBe(2.36);
+    expect(scheduleReview({ easeFactor: 1.3 }, 3, NOW).easeFactor).toBe(1.3);
+  });
+
+  it('restarts a lapsed card tomorrow without changing its ease factor', () => {
+    const card = { easeFactor: 2.2, interval: 30, repetitions: 5 };
+
+    for (const grade of [0, 1, 2]) {
+      expect(scheduleReview(card, grade, NOW)).toMatchObject({ easeFactor: 2.2, interval: 1, repetitions: 0 });
+    }
+  });
+
+  it('rejects grades outside 0-5', () => {
+    expect(() => scheduleReview({}, 6, NOW)).toThrow('Invalid review grade');
+    expect(() => scheduleReview({}, 2.5, NOW)).toThrow('Invalid review grade');
+  });
+});
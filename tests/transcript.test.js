@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('youtube-transcript', () => ({ YoutubeTranscript: { fetchTranscript: vi.fn() } }));
+vi.mock('axios', () => ({ default: { get: vi.fn() } }));
+vi.mock('@/lib/videoStore', () => ({ getStoredTranscript: vi.fn(async () => null), saveTranscript: vi.fn() }));
+
+let fetchTranscript;
+let YoutubeTranscript;
+let axios;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.clearAllMocks();
+  ({ fetchTranscript } = await import('@/lib/transcript'));
+  ({ YoutubeTranscript } = await import('youtube-transcript'));
+  ({ default: axios } = await import('axios'));
+});
+
+/**
+ * Text of the segments fetchTranscript returns for library segments with these texts
+ */
+async function libraryTexts(texts) {
+  YoutubeTranscript.fetchTranscript.mockResolvedValue(texts.map((text, index) => ({ text, offset: index, duration: 1, lang: 'en' })));
+  return (await fetchTranscript('dQw4w9WgXcQ')).rawSegments.map((segment) => segment.text);
+}
+
+describe('caption text cleaning', () => {
+  it('keeps spoken < and > from srv1 text', async () => {
+    expect(await libraryTexts(['if x &amp;lt; 5 and y &amp;gt; 3 then'])).toEqual(['if x < 5 and y > 3 then']);
+  });
+
+  it('decodes doubly escaped entities and drops styling markup', async () => {
+    expect(await libraryTexts([
+      'it&amp;#39;s &lt;font color=&quot;#E5E5E5&quot;&gt;here&lt;/font&gt;',
+      '&lt;i&gt;music&lt;/i&gt;  plays',
+      'Tom &amp;amp; Jerry',
+    ])).toEqual(["it's here", 'music plays', 'Tom & Jerry']);
+  });
+
+  it('keeps < and > in json3 text', async () => {
+    YoutubeTranscript.fetchTranscript.mockRejectedValue(new Error('Transcript is disabled'));
+    axios.get.mockImplementation(async (url) => ({
+      data: url.startsWith('https://www.youtube.com/watch')
+        ? '"captionTracks":[{"baseUrl":"https://www.youtube.com/api/timedtext?v=dQw4w9WgXcQ","languageCode":"en"}]'
+        : { events: [{ tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: 'a < b and c > d ' }, { utf8: '<i>x</i>' }] }] },
+    }));
+
+    const { rawSegments, method } = await fetchTranscript('dQw4w9WgXcQ');
+
+    expect(method).toBe('web-scraping');
+    expect(rawSegments.map((segment) => segment.text)).toEqual(['a < b and c > d x']);
+  });
+});
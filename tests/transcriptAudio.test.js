@@ -0,0 +1,50 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('@/lib/transcript', () => ({ transcribeLocalAudio: vi.fn(async () => ({ available: true, method: 'local-asr' })) }));
+vi.mock('@/lib/asr', () => ({ isASREnabled: () => true }));
+vi.mock('@/lib/asr/audio', async (importOriginal) => ({ ...(await importOriginal()), saveAudioUpload: vi.fn() }));
+
+let handler;
+let transcribeLocalAudio;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.clearAllMocks();
+  vi.stubEnv('ADMIN_API_TOKEN', 's3cret-admin-token');
+  vi.stubEnv('RATE_LIMIT_STORE', 'memory');
+  ({ default: handler } = await import('@/pages/api/transcript/audio'));
+  ({ transcribeLocalAudio } = await import('@/lib/transcript'));
+});
+
+/**
+ * Upload to the handler, resolving with the response status
+ */
+function upload(headers) {
+  return new Promise((resolve) => {
+    const res = {
+      setHeader() {},
+      status(code) {
+        return { json: () => resolve(code) };
+      },
+    };
+    handler({
+      method: 'POST',
+      headers: { 'content-type': 'audio/mpeg', ...headers },
+      socket: { remoteAddress: '127.0.0.1' },
+      query: { videoId: 'dQw4w9WgXcQ' },
+    }, res);
+  });
+}
+
+describe('POST /api/transcript/audio', () => {
+  it('refuses uploads without the admin token', async () => {
+    expect(await upload({})).toBe(401);
+    expect(await upload({ authorization: 'Bearer guess' })).toBe(401);
+    expect(transcribeLocalAudio).not.toHaveBeenCalled();
+  });
+
+  it('transcribes uploads from an admin', async () => {
+    expect(await upload({ authorization: 'Bearer s3cret-admin-token' })).toBe(200);
+    expect(transcribeLocalAudio).toHaveBeenCalledWith('dQw4w9WgXcQ', { lang: undefined });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextRequest } from 'next/server';
+
+vi.mock('@/lib/tokenUsageStore', () => ({
+  getDailyUsage: vi.fn(async () => [{ day: '2026-10-19', model: 'mock', requests: 2, promptTokens: 100, outputTokens: 50 }]),
+  getTokenTotals: vi.fn(async () => ({ promptTokens: 0, outputTokens: 0 })),
+}));
+
+let GET;
+let getDailyUsage;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.clearAllMocks();
+  vi.stubEnv('ADMIN_API_TOKEN', 's3cret-admin-token');
+  vi.stubEnv('RATE_LIMIT_STORE', 'memory');
+  ({ GET } = await import('@/app/api/usage/route'));
+  ({ getDailyUsage } = await import('@/lib/tokenUsageStore'));
+});
+
+function requestUsage(headers = {}) {
+  return GET(new NextRequest('http://localhost/api/usage?email=learner@example.com', {
+    headers: { 'x-forwarded-for': '203.0.113.7', ...headers },
+  }));
+}
+
+describe('GET /api/usage', () => {
+  it('refuses requests without the admin token', async () => {
+    expect((await requestUsage()).status).toBe(401);
+    expect((await requestUsage({ authorization: 'Bearer guess' })).status).toBe(401);
+    expect(getDailyUsage).not.toHaveBeenCalled();
+  });
+
+  it('reports usage to an admin', async () => {
+    const response = await requestUsage({ authorization: 'Bearer s3cret-admin-token' });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).totals).toMatchObject({ requests: 2, totalTokens: 150 });
+    expect(getDailyUsage).toHaveBeenCalledWith(expect.objectContaining({ email: 'learner@example.com' }));
+  });
+});